@@ -6,12 +6,20 @@ let isRecording = false;
 let recordedSteps = [];
 let lastActionTimestamp = 0;
 let recordingTabId = null;
+// Tabs opened from a recorded tab are recorded too. Steps name their tab by a logical
+// `tabRef`: 0 for recordingTabId, then 1, 2... in the order the tabs opened.
+let recordingTabRefs = {};
+let openedTabCount = 0;
+let currentTabRef = 0;
 
 // --- Utility for Logging ---
 function log(message, ...args) {
     console.log(`[Background] ${new Date().toLocaleTimeString()} - ${message}`, ...args);
 }
 
+// The globals above (and any unfinished replay) outlive this worker in session storage.
+const sessionRestored = restoreSessionState();
+
 // =================================================================================
 //                          EVENT LISTENERS
 // =================================================================================
@@ -33,32 +41,137 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
     }
 });
 
-chrome.tabs.onRemoved.addListener((tabId) => {
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+    await sessionRestored;
     if (tabId === recordingTabId) {
         log(`Recording tab ${tabId} was closed, cancelling.`);
         handleCancelRecording();
+    } else if (isRecording && getRecordingTabRef(tabId) !== undefined) {
+        handleRecordedTabClosed(tabId);
+    }
+});
+
+// Links with target=_blank, popups and "open in new tab" all report the tab they came from.
+chrome.tabs.onCreated.addListener(async (tab) => {
+    await sessionRestored;
+    if (!isRecording || tab.openerTabId === undefined || getRecordingTabRef(tab.openerTabId) === undefined) return;
+    openedTabCount++;
+    recordingTabRefs[tab.id] = openedTabCount;
+    saveRecordingState();
+    notifyRecordingTabs(true, [tab.id]);
+    log(`Tab ${tab.id} opened from a recorded tab, recording it as tab ${openedTabCount}.`);
+});
+
+// --- Navigation Listener (Recording) ---
+// A committed navigation means the recorded page got a brand-new document.
+// We record it as an explicit step so replay knows a page change is expected.
+chrome.webNavigation.onCommitted.addListener(async (details) => {
+    await sessionRestored;
+    if (!isRecording || getRecordingTabRef(details.tabId) === undefined) return;
+    // Sub-frames load on their own all the time; only user-driven ones are part of the flow.
+    if (details.frameId !== 0 && details.transitionType !== 'manual_subframe') return;
+    handleRecordNavigation(details);
+});
+
+// --- Scheduling Listeners ---
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) {
+        handleScheduledRun(alarm.name.slice(SCHEDULE_ALARM_PREFIX.length));
+    }
+});
+
+// --- Assertion Context Menu ---
+// Menus persist with the extension, so they are created once per install and only shown while recording.
+const ASSERTION_MENU_ITEMS = {
+    visible: 'Element is visible',
+    exists: 'Element exists',
+    textEquals: 'Text equals',
+    textContains: 'Text contains (selection)',
+    valueEquals: 'Input value equals',
+    attributeEquals: 'Attribute equals...',
+    count: 'Number of similar elements',
+    urlMatches: 'Page URL matches'
+};
+const ASSERTION_MENU_PREFIX = 'assert:';
+// Extract steps are recorded the same way (see executeExtraction in replay_script.js).
+const EXTRACTION_MENU_ITEMS = {
+    text: 'Text',
+    attribute: 'Attribute...',
+    all: 'Text of all similar elements',
+    table: 'Table rows',
+    cards: 'List of cards'
+};
+const EXTRACTION_MENU_PREFIX = 'extract:';
+const RECORDING_MENUS = ['assert', 'extract'];
+
+chrome.runtime.onInstalled.addListener(() => {
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({ id: 'assert', title: 'Replicate Operator: Assert', contexts: ['all'], visible: false });
+        for (const [kind, title] of Object.entries(ASSERTION_MENU_ITEMS)) {
+            chrome.contextMenus.create({ id: ASSERTION_MENU_PREFIX + kind, parentId: 'assert', title: title, contexts: ['all'] });
+        }
+        chrome.contextMenus.create({ id: 'extract', title: 'Replicate Operator: Extract', contexts: ['all'], visible: false });
+        for (const [kind, title] of Object.entries(EXTRACTION_MENU_ITEMS)) {
+            chrome.contextMenus.create({ id: EXTRACTION_MENU_PREFIX + kind, parentId: 'extract', title: title, contexts: ['all'] });
+        }
+    });
+});
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+    const isAssertion = info.menuItemId.startsWith(ASSERTION_MENU_PREFIX);
+    if (!isAssertion && !info.menuItemId.startsWith(EXTRACTION_MENU_PREFIX)) return;
+    await sessionRestored;
+    if (!isRecording || !tab || getRecordingTabRef(tab.id) === undefined) return;
+    if (isAssertion) {
+        handleAssertionMenuClick(info.menuItemId.slice(ASSERTION_MENU_PREFIX.length), info, tab);
+    } else {
+        // Only the frame that was right-clicked knows which element it was.
+        chrome.tabs.sendMessage(tab.id, { type: 'recordExtraction', extract: info.menuItemId.slice(EXTRACTION_MENU_PREFIX.length) }, { frameId: info.frameId || 0 })
+            .catch(error => log(`Could not record extraction: ${error.message}`));
     }
 });
 
+// Alarms usually survive a browser restart, but not reliably across updates; re-create them to be sure.
+chrome.runtime.onStartup.addListener(() => syncScheduleAlarms());
+chrome.runtime.onInstalled.addListener(() => syncScheduleAlarms());
+chrome.runtime.onInstalled.addListener(() => migratePlaintextSecrets());
+
 
 // =================================================================================
 //                          MESSAGE LISTENERS
 // =================================================================================
 
 // --- Listener for Content Scripts (which have sender.tab) ---
-chrome.runtime.onMessage.addListener((request, sender) => {
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (!sender.tab) return false; // Let other listeners handle this
 
-    if (request.type === 'recordAction') {
+    if (request.type === 'externalRequest') {
+        // Relayed from the page by content_script.js; only the page's origin can be allowed.
+        handleExternalRequest(request.request, [sender.origin], true).then(sendResponse);
+        return true;
+    } else if (request.type === 'getRecordingState') {
+        sessionRestored.then(() => sendResponse({ isRecording: isRecording && getRecordingTabRef(sender.tab.id) !== undefined }));
+        return true;
+    } else if (request.type === 'recordAction') {
         // Only record if recording is active AND the message comes from the correct tab
-        if (isRecording && sender.tab.id === recordingTabId) {
-            handleRecordAction(request.action, sender);
-        }
+        sessionRestored.then(() => {
+            if (isRecording && getRecordingTabRef(sender.tab.id) !== undefined) {
+                handleRecordAction(request.action, sender);
+            }
+        });
+    } else if (request.type === 'elementPicked' || request.type === 'elementPickerCancelled') {
+        handleElementPicked(request, sender);
     }
     // Return false to allow other listeners to run.
     return false;
 });
 
+// --- Listener for Other Extensions and Allowed Pages (see EXTERNAL API) ---
+chrome.runtime.onMessageExternal.addListener((request, sender, sendResponse) => {
+    handleExternalRequest(request, [sender.id, sender.origin], false).then(sendResponse);
+    return true;
+});
+
 // --- Listener for Side Panel UI (which do NOT have sender.tab) ---
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (sender.tab) return false; // Let the other listener handle this
@@ -69,12 +182,71 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         case 'startRecording': handleStartRecording(); break;
         case 'stopRecordingAndSave': handleStopRecordingAndSave(request.name); break;
         case 'cancelRecording': handleCancelRecording(); break;
-        case 'runFlow': handleRunFlow(request.name); break;
+        case 'runFlow': handleRunFlow(request.name, request.options); break;
+        case 'debugFlow': handleRunFlow(request.name, { ...request.options, startPaused: true }); break;
+        // A command may be what wakes the worker; the paused run has to be restored first.
+        case 'replayCommand': sessionRestored.then(() => activeReplay && activeReplay.command(request.command)); break;
+        case 'setReplaySpeed': sessionRestored.then(() => activeReplay && activeReplay.setSpeed(request.speed)); break;
+        case 'toggleBreakpoint': handleToggleBreakpoint(request.name, request.index); break;
         case 'displayFlow': handleDisplayFlow(request.name); break;
         case 'deleteFlow': handleDeleteFlow(request.name); break;
+        case 'renameFlow': handleRenameFlow(request.name, request.newName); break;
+        case 'duplicateFlow': handleDuplicateFlow(request.name, request.newName); break;
+        case 'updateFlowDetails': handleUpdateFlowDetails(request.name, request.details); break;
+        case 'restoreFlowVersion': handleRestoreFlowVersion(request.name, request.savedAt); break;
+        case 'importFlows': handleImportFlows(request.flows, request.meta); break;
+        case 'saveFlow': handleSaveFlow(request.name, request.steps, request.variables, request.timing); break;
+        case 'runFlowWithData': handleRunFlowWithData(request.name, request.rows, request.environment); break;
+        case 'saveEnvironment': handleSaveEnvironment(request.environment); break;
+        case 'deleteEnvironment': handleDeleteEnvironment(request.id); break;
+        case 'deleteRunReport': handleDeleteRunReports([request.id]); break;
+        case 'clearRunHistory': loadRunIndex().then(index => handleDeleteRunReports(index.map(run => run.id))); break;
+        case 'saveSettings': handleSaveSettings(request.settings); break;
+        case 'startElementPicker': handleStartElementPicker(); break;
+        case 'stopElementPicker': handleStopElementPicker(); break;
+        case 'saveSchedule': handleSaveSchedule(request.schedule); break;
+        case 'deleteSchedule': handleDeleteSchedule(request.id); break;
+        case 'setScheduleEnabled': handleSetScheduleEnabled(request.id, request.enabled); break;
+        case 'lockSecrets': handleLockSecrets(); break;
+        case 'setSecret': storeSecret(request.name, request.value); break;
+        case 'deleteSecret': handleDeleteSecret(request.name); break;
+        case 'forgetSecrets': handleForgetSecrets(); break;
+        case 'unlockSecrets':
+            handleUnlockSecrets(request.passphrase).then(sendResponse);
+            return true;
         case 'getFlows':
             loadSavedFlows().then(sendResponse);
             return true; // Keep channel open for async response
+        case 'getFlowMeta':
+            loadFlowMeta().then(sendResponse);
+            return true;
+        case 'getFlowVersions':
+            loadFlowVersions(request.name).then(sendResponse);
+            return true;
+        case 'getRecordingState':
+            sessionRestored.then(() => sendResponse({ isRecording: isRecording, steps: recordedSteps }));
+            return true;
+        case 'getReplayState':
+            sessionRestored.then(() => sendResponse(activeReplay ? activeReplay.getState() : null));
+            return true;
+        case 'getRunHistory':
+            loadRunIndex().then(sendResponse);
+            return true;
+        case 'getRunReport':
+            chrome.storage.local.get(RUN_KEY_PREFIX + request.id).then(result => sendResponse(result[RUN_KEY_PREFIX + request.id] || null));
+            return true;
+        case 'getSettings':
+            loadSettings().then(sendResponse);
+            return true;
+        case 'getSchedules':
+            getSchedulesWithNextRun().then(sendResponse);
+            return true;
+        case 'getEnvironments':
+            loadEnvironments().then(sendResponse);
+            return true;
+        case 'getSecretStatus':
+            loadSecretStatus().then(sendResponse);
+            return true;
     }
     return false;
 });
@@ -84,10 +256,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 //                          CORE LOGIC FUNCTIONS
 // =================================================================================
 
-function updateIcon(activeTabId) {
+async function updateIcon(activeTabId) {
+    await sessionRestored;
     if (isRecording) {
-        const iconPath = (activeTabId === recordingTabId) ? "icons/icon48.png" : "icons/icon_disabled.png";
-        const badgeColor = (activeTabId === recordingTabId) ? '#FF0000' : '#808080';
+        const isRecordedTab = getRecordingTabRef(activeTabId) !== undefined;
+        const iconPath = isRecordedTab ? "icons/icon48.png" : "icons/icon_disabled.png";
+        const badgeColor = isRecordedTab ? '#FF0000' : '#808080';
         chrome.action.setIcon({ path: iconPath });
         chrome.action.setBadgeText({ text: 'REC' });
         chrome.action.setBadgeBackgroundColor({ color: badgeColor });
@@ -98,6 +272,7 @@ function updateIcon(activeTabId) {
 }
 
 async function handleStartRecording() {
+    await sessionRestored;
     if (isRecording) return;
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     if (!tab) {
@@ -107,46 +282,134 @@ async function handleStartRecording() {
 
     isRecording = true;
     recordingTabId = tab.id;
+    recordingTabRefs = { [tab.id]: 0 };
+    openedTabCount = 0;
+    currentTabRef = 0;
     recordedSteps = [{ type: "goto", url: tab.url, frameId: 0 }];
     lastActionTimestamp = Date.now();
+    saveRecordingState();
+    notifyRecordingTabs(true);
     log(`Recording started on tab ${tab.id}`);
 
     updateIcon(tab.id);
+    RECORDING_MENUS.forEach(menu => chrome.contextMenus.update(menu, { visible: true }));
     chrome.runtime.sendMessage({ type: "recordingStateChanged", isRecording: true, steps: recordedSteps });
 }
 
+function getRecordingTabRef(tabId) {
+    return recordingTabRefs[tabId];
+}
+
+// Tells the content scripts in every frame of the tabs whether to record. Pages loaded later
+// ask for themselves ('getRecordingState').
+function notifyRecordingTabs(active, tabIds = Object.keys(recordingTabRefs).map(Number)) {
+    tabIds.forEach(tabId => {
+        chrome.tabs.sendMessage(tabId, { type: 'setRecording', isRecording: active }).catch(() => {});
+    });
+}
+
 function handleRecordAction(action, sender) {
     const now = Date.now();
+    const tabRef = getRecordingTabRef(sender.tab.id);
+    // Choosing an option, ticking a box or dragging starts with a mousedown the content script
+    // already recorded as a click; the new step stands for that whole gesture.
+    const { replacesClick, sensitive, secretName, ...recorded } = action;
+    if (sensitive) concealRecordedSecret(recorded, secretName);
+    const last = recordedSteps[recordedSteps.length - 1];
+    if (replacesClick && last && last.type === 'click' && last.selector === replacesClick && last.frameId === sender.frameId) {
+        recordedSteps.pop();
+        const wait = recordedSteps[recordedSteps.length - 1];
+        if (wait && wait.type === 'wait') {
+            recordedSteps.pop();
+            lastActionTimestamp -= wait.duration;
+        }
+    }
+
     // Add a wait step if there was a pause between actions
     if (now - lastActionTimestamp > 100) {
         recordedSteps.push({ type: 'wait', duration: now - lastActionTimestamp });
     }
+    // Acting in another tab than last time means the user switched to it.
+    if (tabRef !== currentTabRef) {
+        recordedSteps.push({ type: 'switchTab', tabRef: tabRef });
+        currentTabRef = tabRef;
+    }
 
-    // Add the frameId from the sender to the recorded step
-    const step = { ...action, frameId: sender.frameId };
+    // Add the frameId from the sender to the recorded step.
+    // Sub-frame ids are not stable across tabs, so we also keep the frame URL to find it again at replay.
+    const step = { ...recorded, frameId: sender.frameId };
+    if (sender.frameId !== 0) step.frameUrl = sender.url;
+    if (tabRef) step.tabRef = tabRef;
     recordedSteps.push(step);
     lastActionTimestamp = now;
+    saveRecordingState();
     log('Step added:', step);
 
     // Update the side panel with the new step
     chrome.runtime.sendMessage({ type: 'updateLiveSteps', steps: recordedSteps });
 }
 
+function handleAssertionMenuClick(kind, info, tab) {
+    if (kind === 'urlMatches') {
+        // No element involved; anchor the pattern on the exact URL and let the user loosen it in the editor.
+        const url = info.frameUrl || info.pageUrl || tab.url;
+        const pattern = `^${url.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`;
+        handleRecordAction({ type: 'assert', assertion: 'urlMatches', expected: pattern }, { tab: tab, frameId: info.frameId || 0, url: info.frameUrl });
+        return;
+    }
+    // Only the frame that was right-clicked knows which element it was.
+    chrome.tabs.sendMessage(tab.id, { type: 'recordAssertion', assertion: kind, selectionText: info.selectionText }, { frameId: info.frameId || 0 })
+        .catch(error => log(`Could not record assertion: ${error.message}`));
+}
+
+function handleRecordNavigation(details) {
+    // No wait step here: replay waits for the new document itself. We only restart
+    // the clock so the next wait is measured from when the page changed.
+    const step = {
+        type: 'navigate',
+        url: details.url,
+        transition: details.transitionType,
+        qualifiers: details.transitionQualifiers,
+        frameId: details.frameId
+    };
+    const tabRef = getRecordingTabRef(details.tabId);
+    if (tabRef) step.tabRef = tabRef;
+    recordedSteps.push(step);
+    lastActionTimestamp = Date.now();
+    saveRecordingState();
+    log('Navigation step added:', step);
+
+    chrome.runtime.sendMessage({ type: 'updateLiveSteps', steps: recordedSteps });
+}
+
+// Whether the user or the page closed it (popups often close themselves), replay closes
+// it at this point unless the page already did.
+function handleRecordedTabClosed(tabId) {
+    const step = { type: 'closeTab', tabRef: getRecordingTabRef(tabId) };
+    delete recordingTabRefs[tabId];
+    recordedSteps.push(step);
+    saveRecordingState();
+    log('Tab closed step added:', step);
+    chrome.runtime.sendMessage({ type: 'updateLiveSteps', steps: recordedSteps });
+}
+
 async function handleStopRecordingAndSave(flowName) {
+    await sessionRestored;
     if (!isRecording) return;
-    const savedFlows = await loadSavedFlows();
-    savedFlows[flowName] = recordedSteps;
-    await chrome.storage.local.set({ flows: savedFlows });
+    // The side panel asked before replacing a flow; the replaced steps stay in its history.
+    await saveFlowSteps(flowName, recordedSteps, 'recording');
     log(`Flow saved as "${flowName}"`);
     resetState();
 }
 
-function handleCancelRecording() {
+async function handleCancelRecording() {
+    await sessionRestored;
     if (!isRecording) return;
     log("Cancelling recording...");
     
     // We set isRecording to false immediately to stop further actions from being recorded.
     isRecording = false;
+    saveRecordingState();
 
     // But we wait a moment before clearing the data and icon,
     // to ensure any last-second 'updateLiveSteps' message has time to be processed by the side panel.
@@ -159,92 +422,413 @@ function handleCancelRecording() {
 
 function resetState() {
     const wasRecordingTabId = recordingTabId;
+    notifyRecordingTabs(false);
     isRecording = false; // Ensure it's false
     recordedSteps = [];
     recordingTabId = null;
+    recordingTabRefs = {};
+    openedTabCount = 0;
+    currentTabRef = 0;
     lastActionTimestamp = 0;
+    saveRecordingState();
     
     log("Global state has been fully reset.");
     updateIcon(wasRecordingTabId); // Reset icon state
+    RECORDING_MENUS.forEach(menu => chrome.contextMenus.update(menu, { visible: false }));
     
     // Notify UI that state is definitively reset
     chrome.runtime.sendMessage({ type: "recordingStateChanged", isRecording: false, steps: [] });
     chrome.runtime.sendMessage({ type: "flowsUpdated" });
 }
 
-async function handleRunFlow(flowName) {
+// Resolves to { status: 'success' | 'error', message, runId } so callers like the
+// scheduler can keep the outcome; the full per-step report is saved to the run history.
+// `options.silent` skips the in-page alerts, which would otherwise block an unattended run
+// until someone dismisses them. `options.variables` overrides the flow's default variable
+// values, `options.closeTabOnSuccess` cleans up after batch runs, and `options.trigger`
+// says what started the run ('manual' by default). Runs that aren't silent can be paused,
+// stepped and stopped from the side panel; `options.startPaused` stops before the first action.
+// `options.tabId` runs in that existing tab instead of a new one, and `options.skipGoto`
+// starts on the page it shows instead of loading the flow's start URL. `options.environment`
+// names an environment profile whose URL rewrites apply to the run, and `options.runId` sets
+// the id of the run (and its report) for callers that track it. `options.storedSecrets: false`
+// keeps the run from the secret vault and the secrets entered in the side panel. Calls to other flows are
+// expanded up front (see expandFlowCalls), so everything below works on one flat step list.
+async function handleRunFlow(flowName, options = {}) {
     log(`Attempting to run flow: "${flowName}"`);
     const savedFlows = await loadSavedFlows();
-    const steps = savedFlows[flowName];
-    if (!steps || steps.length === 0) { log(`Error: Flow not found.`); return; }
+    const flowSteps = savedFlows[flowName];
+    if (!flowSteps || flowSteps.length === 0) { log(`Error: Flow not found.`); return { status: 'error', message: 'Flow not found.' }; }
+
+    const report = createRunReport(flowName, options.trigger || 'manual', flowSteps.length, options.runId);
+    const settings = await loadSettings();
+
+    // Resolve every {{variable}} up front, so a missing value fails before a tab is opened.
+    const allMeta = await loadFlowMeta();
+    const flowMeta = allMeta[flowName] || {};
+    const variables = { ...(flowMeta.variables || {}), ...(options.variables || {}) };
+    let steps;
+    let secrets;
+    try {
+        const environment = await findEnvironment(options.environment);
+        steps = expandFlowCalls(flowName, flowSteps, variables, savedFlows, allMeta).map(step => rewriteStepUrl(step, environment));
+        report.totalSteps = steps.length;
+        secrets = await collectRunSecrets(steps, options.secrets, options.storedSecrets !== false);
+    } catch (error) {
+        log(`Error: ${error.message}`);
+        return finishRunReport(report, 'error', error.message);
+    }
+    // Each flow paces its own steps, called flows included.
+    const flowTimings = {};
+    steps.forEach(({ origin }) => {
+        flowTimings[origin.flowName] = { ...DEFAULT_TIMING, ...((allMeta[origin.flowName] || {}).timing || {}) };
+    });
     
     const initialStep = steps[0];
-    if (initialStep.type !== 'goto') { log('Error: Flow must start with a "goto".'); return; }
+    if (initialStep.type !== 'goto') { log('Error: Flow must start with a "goto".'); return finishRunReport(report, 'error', 'Flow must start with a "goto".'); }
+    try {
+        matchControlBlocks(steps);
+    } catch (error) {
+        log(`Error: ${error.message}`);
+        return finishRunReport(report, 'error', error.message);
+    }
 
+    const controller = createReplayController(report.id, flowName, steps, options);
+    let tab;
+    let tracker;
+    const gotoReport = startStepReport(report, initialStep, 0);
     try {
-        const tab = await chrome.tabs.create({ url: initialStep.url, active: true });
-        
-        const listener = async (tabId, info) => {
-            if (tabId === tab.id && info.status === 'complete') {
-                chrome.tabs.onUpdated.removeListener(listener);
-                log(`Tab ${tab.id} loaded. Injecting replay script into all frames.`);
-                
-                await chrome.scripting.executeScript({
-                    target: { tabId: tab.id, allFrames: true },
-                    files: ['replay_script.js']
-                });
-
-                log('Replay script injected. Starting step-by-step execution.');
-                
-                for (const step of steps.slice(1)) {
-                    log('Orchestrating step:', step);
-                    
-                    if (step.type === 'wait') {
-                        // Honor the recorded wait time
-                        await new Promise(resolve => setTimeout(resolve, step.duration));
-                        continue;
-                    }
-                    
-                    try {
-                        const response = await chrome.tabs.sendMessage(tab.id, {
-                            type: 'executeSingleStep',
-                            step: step
-                        }, {
-                            frameId: step.frameId || 0
-                        });
-
-                        if (response && response.status === 'error') {
-                            throw new Error(response.message); // Stop the loop on error from script
-                        }
-
-                    } catch (error) {
-                        log(`Failed to send message to frame or it failed. Error: ${error.message}`);
-                        log(`Stopping flow due to error.`);
-                        await chrome.scripting.executeScript({
-                            target: { tabId: tab.id },
-                            func: (msg) => alert(`Replay failed at step: ${JSON.stringify(step)}\nError: ${msg}`),
-                            args: [error.message]
-                        });
-                        return; // Stop the entire flow
-                    }
-
-                    // *** THE KEY CHANGE: Add a fixed delay between steps ***
-                    // This gives the web page time to react to the previous action.
-                    // 500ms is a good starting point.
-                    log(`Waiting 500ms for page to stabilize...`);
-                    await new Promise(resolve => setTimeout(resolve, 500));
-                }
+        tab = options.tabId === undefined
+            ? await chrome.tabs.create({ url: initialStep.url, active: true })
+            : await chrome.tabs.get(options.tabId);
+        // Start tracking right away so every document the tab loads gets the replay script.
+        tracker = createNavigationTracker(tab.id);
 
-                log('Flow execution finished successfully.');
-                await chrome.scripting.executeScript({
-                    target: { tabId: tab.id },
-                    func: () => alert('Replicate Operator: Flow replay completed!'),
-                });
-            }
-        };
-        chrome.tabs.onUpdated.addListener(listener);
+        // Slow pages get the flow's own timeout when it is longer than the usual navigation one.
+        const loadTimeout = Math.max(NAVIGATION_TIMEOUT, resolveStepTiming(initialStep, flowTimings[initialStep.origin.flowName]).timeout);
+        if (options.tabId === undefined) {
+            await waitForTabComplete(tab.id, loadTimeout);
+        } else if (!options.skipGoto) {
+            const navigate = () => chrome.tabs.update(tab.id, { url: initialStep.url, active: true });
+            // Only the fragment changes: the page scrolls instead of reloading, so no load comes.
+            if (isFragmentChange(tab.url, initialStep.url)) await navigate();
+            else await waitForTabComplete(tab.id, loadTimeout, navigate);
+        }
+        log(`Tab ${tab.id} loaded. Injecting replay script into all frames.`);
+        await injectReplayScript(tab.id);
+        await waitForPageSettled(tracker);
+        // The initial load is the goto step itself, not something a 'navigate' step should match.
+        tracker.skipCommits();
+        if (options.skipGoto) {
+            gotoReport.note = `started on the open page, ${tab.url}`;
+            finishStepReport(gotoReport, 'skipped');
+        } else {
+            finishStepReport(gotoReport, 'success');
+        }
     } catch (error) {
         log('Error during handleRunFlow setup:', error);
+        if (tracker) tracker.stop();
+        finishStepReport(gotoReport, 'error', error.message);
+        if (tab) gotoReport.screenshot = await captureScreenshot(tab);
+        const outcome = await finishRunReport(report, 'error', error.message, steps);
+        controller.finish(outcome);
+        return outcome;
+    }
+    if (settings.screenshotEveryStep) gotoReport.screenshot = await captureScreenshot(tab);
+
+    log('Replay script injected. Starting step-by-step execution.');
+    const run = {
+        id: report.id,
+        flowName: flowName,
+        options: options,
+        steps: steps,
+        // Only filled into steps on their way to the page (see sendRunStep).
+        secrets: secrets,
+        flowTimings: flowTimings,
+        settings: settings,
+        tab: { id: tab.id, windowId: tab.windowId },
+        // Real tabs by the steps' logical tabRef; see createRunTabs.
+        tabs: { 0: { id: tab.id, windowId: tab.windowId } },
+        nextStepIndex: 1,
+        report: report,
+        // Which locator found each step's element, by step index, for flagging stale locators.
+        locatorReports: {},
+        // Iterations done by each running 'repeat', by step index.
+        loops: {},
+        // How often each step's on-error policy jumped elsewhere, by step index.
+        errorJumps: {}
+    };
+    return runFlowSteps(run, controller, tracker);
+}
+
+// Executes the run's steps from `run.nextStepIndex` on. Everything it needs lives on `run`,
+// which is saved to session storage as it goes, so a restarted worker can carry on from
+// the last completed step (see resumeInterruptedRuns).
+async function runFlowSteps(run, controller, tracker) {
+    const { steps, options, report, tab } = run;
+    const blocks = matchControlBlocks(steps);
+    const tabs = createRunTabs(run, tracker);
+    controller.onChange = () => saveRunState(run, controller);
+    await saveRunState(run, controller);
+    // Chrome stops a worker that makes no extension calls for 30s, which a long recorded
+    // wait or a slow page easily reaches. A paused run is left to sleep; it resumes on wake.
+    const keepAlive = setInterval(() => {
+        if (controller.status !== 'paused') chrome.runtime.getPlatformInfo();
+    }, KEEP_ALIVE_INTERVAL);
+
+    try {
+        let stepIndex = run.nextStepIndex;
+        while (stepIndex < steps.length) {
+            const step = steps[stepIndex];
+            // Pauses here when asked to, or at a breakpoint, outlining what runs next.
+            const highlightTab = tabs.peek(step.tabRef) || tab;
+            if (!await controller.checkpoint(stepIndex, () => setStepHighlight(highlightTab.id, step, true))) {
+                await setStepHighlight(highlightTab.id, step, false);
+                log(`Flow stopped from the side panel before step ${stepIndex + 1}.`);
+                return finishRunReport(report, 'stopped', 'Stopped from the side panel.', steps);
+            }
+            const stepReport = startStepReport(report, step, stepIndex);
+            const timing = resolveStepTiming(step, run.flowTimings[step.origin.flowName]);
+            log('Orchestrating step:', step);
+
+            if (step.type === 'wait') {
+                // Recorded pauses only matter when replaying recorded timing; otherwise the
+                // stability waits or fixed delays take their place.
+                if (timing.mode === 'recorded') {
+                    await controller.sleep(step.duration * controller.speed);
+                    finishStepReport(stepReport, 'success');
+                } else {
+                    finishStepReport(stepReport, 'skipped');
+                }
+                run.nextStepIndex = stepIndex = stepIndex + 1;
+                await saveRunState(run, controller);
+                continue;
+            }
+
+            let nextIndex;
+            try {
+                nextIndex = await executeRunStepWithRetries(run, controller, blocks, stepIndex, stepReport, timing, tabs);
+            } catch (error) {
+                log(`Failed to send message to frame or it failed. Error: ${error.message}`);
+                const recoveryIndex = recoverFromStepError(run, blocks, stepIndex);
+                const failedTab = tabs.peek(step.tabRef) || tab;
+                stepReport.screenshot = await captureScreenshot(failedTab);
+                if (recoveryIndex !== null) {
+                    finishStepReport(stepReport, 'skipped', `Failed, then ${step.onError === 'goto' ? `jumped to step ${recoveryIndex + 1}` : 'skipped'} by its on-error policy: ${error.message}`);
+                    run.nextStepIndex = stepIndex = recoveryIndex;
+                    await saveRunState(run, controller);
+                    continue;
+                }
+                log(`Stopping flow due to error.`);
+                finishStepReport(stepReport, 'error', error.message);
+                if (!options.silent) {
+                    await chrome.scripting.executeScript({
+                        target: { tabId: failedTab.id },
+                        func: (msg, failedStep) => alert(`Replay failed at ${failedStep}:\n\n${msg}`),
+                        args: [error.message, describeStepForError(step, stepIndex)]
+                    });
+                }
+                return finishRunReport(report, 'error', error.message, steps); // Stop the entire flow
+            }
+            finishStepReport(stepReport, 'success');
+
+            // Control steps don't touch the page, so there's nothing to wait for or capture;
+            // neither is there once a step closed its tab.
+            const stepTab = tabs.peek(step.tabRef);
+            if (!CONTROL_STEP_TYPES.includes(step.type) && stepTab) {
+                if (step.type !== 'navigate') await waitAfterStep(stepTab.tracker, timing);
+                if (run.settings.screenshotEveryStep) stepReport.screenshot = await captureScreenshot(stepTab);
+            }
+            run.nextStepIndex = stepIndex = nextIndex;
+            await saveRunState(run, controller);
+        }
+
+        log('Flow execution finished successfully.');
+        if (!options.silent) {
+            await chrome.scripting.executeScript({
+                target: { tabId: tab.id },
+                func: () => alert('Replicate Operator: Flow replay completed!'),
+            });
+        }
+        if (options.closeTabOnSuccess) await chrome.tabs.remove(tabs.openTabs().map(openTab => openTab.id));
+        return finishRunReport(report, 'success');
+    } finally {
+        clearInterval(keepAlive);
+        tabs.stop();
+        controller.finish({ status: report.status, message: report.message });
+        await clearRunState(run.id);
+        await recordLocatorHealth(run.steps, run.locatorReports);
+    }
+}
+
+async function handleRunFlowWithData(flowName, rows, environment) {
+    log(`Running flow "${flowName}" for ${rows.length} data row(s).`);
+    const results = [];
+    const sendProgress = (finished) => chrome.runtime.sendMessage({
+        type: 'dataRunUpdated', flowName: flowName, total: rows.length, results: results, finished: finished
+    });
+
+    sendProgress(false);
+    for (let i = 0; i < rows.length; i++) {
+        // Failed rows keep their tab open so the failure can be inspected.
+        const result = await handleRunFlow(flowName, {
+            silent: true, variables: rows[i], closeTabOnSuccess: true, trigger: `data row ${i + 1}`, environment: environment
+        });
+        results.push({ row: i + 1, status: result.status, message: result.message || '', runId: result.runId });
+        sendProgress(i === rows.length - 1);
+    }
+}
+
+// A step's `retries` lets it fail that many times before its on-error policy applies.
+async function executeRunStepWithRetries(run, controller, blocks, stepIndex, stepReport, timing, tabs) {
+    const step = run.steps[stepIndex];
+    const retries = Number(step.retries) || 0;
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const nextIndex = await executeRunStep(run, blocks, stepIndex, stepReport, timing, tabs);
+            if (attempt > 0) stepReport.note = [stepReport.note, `passed on attempt ${attempt + 1}`].filter(Boolean).join(', ');
+            return nextIndex;
+        } catch (error) {
+            if (attempt >= retries || controller.status === 'stopping') throw error;
+            log(`Step ${stepIndex + 1} failed (${error.message}), retrying (${attempt + 1}/${retries}).`);
+            await controller.sleep(RETRY_DELAY);
+        }
+    }
+}
+
+// Runs one step and returns the index of the step to run next, which control steps pick.
+async function executeRunStep(run, blocks, stepIndex, stepReport, timing, tabs) {
+    const { steps, report } = run;
+    const step = fillExtractedValues(steps[stepIndex], report.data);
+    const block = blocks[stepIndex];
+    switch (step.type) {
+        case 'navigate': {
+            const stepTab = await tabs.get(step.tabRef, timing.timeout);
+            await replayNavigateStep(stepTab.id, step, stepTab.tracker);
+            return stepIndex + 1;
+        }
+        case 'switchTab': {
+            const stepTab = await tabs.get(step.tabRef, timing.timeout);
+            await chrome.tabs.update(stepTab.id, { active: true });
+            await chrome.windows.update(stepTab.windowId, { focused: true });
+            await waitForPageSettled(stepTab.tracker);
+            return stepIndex + 1;
+        }
+        case 'closeTab': {
+            if (!step.tabRef) throw new Error('A flow cannot close the tab it started in.');
+            if (tabs.isClosed(step.tabRef)) return stepIndex + 1;
+            const stepTab = await tabs.get(step.tabRef, timing.timeout);
+            // Popups often close themselves once done (OAuth); give the page the chance first.
+            if (!await waitUntil(() => tabs.isClosed(step.tabRef), CLOSE_TAB_GRACE)) await chrome.tabs.remove(stepTab.id);
+            return stepIndex + 1;
+        }
+        case 'if': {
+            const conditionMet = await evaluateStepCondition(run, step, timing, tabs);
+            stepReport.note = conditionMet ? 'condition met' : 'condition not met';
+            if (conditionMet) return stepIndex + 1;
+            const branchEnd = block.else ?? block.end;
+            skipStepReports(report, steps, stepIndex + 1, branchEnd);
+            return branchEnd + 1;
+        }
+        case 'else':
+            // Only reached at the end of the 'then' branch.
+            skipStepReports(report, steps, stepIndex + 1, block.end);
+            return block.end + 1;
+        case 'repeat': {
+            const iteration = run.loops[stepIndex] || 0;
+            const again = step.loop === 'while'
+                ? await evaluateStepCondition(run, step, timing, tabs)
+                : iteration < Number(step.count);
+            if (!again) {
+                delete run.loops[stepIndex];
+                stepReport.note = `done after ${iteration} iteration(s)`;
+                if (iteration === 0) skipStepReports(report, steps, stepIndex + 1, block.end);
+                return block.end + 1;
+            }
+            const limit = Number(step.maxIterations) || DEFAULT_MAX_ITERATIONS;
+            if (step.loop === 'while' && iteration >= limit) {
+                delete run.loops[stepIndex];
+                throw new Error(`Loop stopped at its limit of ${limit} iterations.`);
+            }
+            run.loops[stepIndex] = iteration + 1;
+            stepReport.note = `iteration ${iteration + 1}`;
+            return stepIndex + 1;
+        }
+        case 'end':
+            return block.loop ? block.start : stepIndex + 1;
+        case 'callFlow':
+            // Its steps were spliced in right after it (see expandFlowCalls).
+            stepReport.note = `runs "${step.flowName}"`;
+            return stepIndex + 1;
+        default: {
+            const stepTab = await tabs.get(step.tabRef, timing.timeout);
+            // Never talk to a document that is being replaced.
+            await waitForPageSettled(stepTab.tracker);
+            const result = await sendRunStep(run, stepTab, step, { timing: timing, highlight: !run.options.silent });
+            stepReport.frameId = result.frameId;
+            if (step.type === 'extract') storeExtractedValue(report, step, stepReport, result.extracted);
+            if (result.matchedBy) {
+                stepReport.matchedBy = result.matchedBy;
+                run.locatorReports[stepIndex] = result;
+                if (result.stale) log(`Primary locator is stale, step matched by "${result.matchedBy}" instead.`);
+            }
+            return stepIndex + 1;
+        }
+    }
+}
+
+// What a failed step's on-error policy makes of it: the index to carry on from, or null to
+// stop the run. Skipping an 'if' or 'repeat' skips its whole block.
+function recoverFromStepError(run, blocks, stepIndex) {
+    const step = run.steps[stepIndex];
+    if (step.onError === 'skip') {
+        delete run.loops[stepIndex];
+        return blocks[stepIndex] ? blocks[stepIndex].end + 1 : stepIndex + 1;
+    }
+    if (step.onError !== 'goto') return null;
+
+    const target = Number(step.onErrorStep) - 1;
+    if (!Number.isInteger(target) || target < 1 || target >= run.steps.length) return null;
+    // A failure that keeps jumping back would otherwise never end.
+    run.errorJumps[stepIndex] = (run.errorJumps[stepIndex] || 0) + 1;
+    if (run.errorJumps[stepIndex] > MAX_ERROR_JUMPS) {
+        log(`Step ${stepIndex + 1} already jumped to step ${target + 1} ${MAX_ERROR_JUMPS} times; giving up.`);
+        return null;
+    }
+    // Jumping out of a loop ends it; jumping back to its 'repeat' starts it over.
+    Object.keys(run.loops).map(Number).forEach(start => {
+        if (target <= start || target > blocks[start].end) delete run.loops[start];
+    });
+    return target;
+}
+
+function describeStepForError(step, stepIndex) {
+    const kind = step.type === 'assert' ? `assert ${step.assertion}` : step.type;
+    return `step ${stepIndex + 1} (${kind}${step.selector ? ` on ${step.selector}` : ''})`;
+}
+
+// Marks steps whose primary locator no longer matches (and clears the mark once it does
+// again), so the side panel can point at the steps that need repairing. Steps of called
+// flows are marked in the flow they belong to.
+async function recordLocatorHealth(runSteps, locatorReports) {
+    const savedFlows = await loadSavedFlows();
+
+    let changed = false;
+    for (const [stepIndex, report] of Object.entries(locatorReports)) {
+        const { flowName, index } = runSteps[stepIndex].origin;
+        const step = (savedFlows[flowName] || [])[index];
+        if (!step) continue;
+        if (report.stale) {
+            step.locatorStatus = { stale: true, matchedBy: report.matchedBy, checkedAt: Date.now() };
+            changed = true;
+        } else if (step.locatorStatus) {
+            delete step.locatorStatus;
+            changed = true;
+        }
+    }
+    if (changed) {
+        await chrome.storage.local.set({ flows: savedFlows });
+        chrome.runtime.sendMessage({ type: "flowsUpdated" });
     }
 }
 
@@ -258,14 +842,1636 @@ async function handleDisplayFlow(flowName) {
     await chrome.tabs.create({ url: dataUrl });
 }
 
+// Used by the side panel's step editor, which validates the steps before sending them.
+async function handleSaveFlow(flowName, steps, variables, timing) {
+    await saveFlowSteps(flowName, steps, 'editor');
+    const meta = {};
+    if (variables) meta.variables = variables;
+    if (timing) meta.timing = timing;
+    await updateFlowMeta(flowName, meta);
+    log(`Flow "${flowName}" updated from the editor.`);
+    chrome.runtime.sendMessage({ type: "flowsUpdated" });
+}
+
+// --- Element Picker ---
+// The editor asks for an element; every frame of the active tab starts picking, and the
+// first frame to report a pick (or cancel) ends picking everywhere.
+let pickerTabId = null;
+
+async function handleStartElementPicker() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) {
+        chrome.runtime.sendMessage({ type: 'pickerResult', cancelled: true, error: 'No active tab found.' });
+        return;
+    }
+    pickerTabId = tab.id;
+    try {
+        await chrome.tabs.sendMessage(tab.id, { type: 'startElementPicker' });
+    } catch (error) {
+        log(`Could not start the element picker: ${error.message}`);
+        pickerTabId = null;
+        chrome.runtime.sendMessage({ type: 'pickerResult', cancelled: true, error: 'This page cannot be picked from.' });
+    }
+}
+
+function handleStopElementPicker() {
+    if (pickerTabId === null) return;
+    chrome.tabs.sendMessage(pickerTabId, { type: 'stopElementPicker' }).catch(() => {});
+    pickerTabId = null;
+}
+
+function handleElementPicked(request, sender) {
+    if (sender.tab.id !== pickerTabId) return;
+    handleStopElementPicker();
+    if (request.type === 'elementPickerCancelled') {
+        chrome.runtime.sendMessage({ type: 'pickerResult', cancelled: true });
+        return;
+    }
+    chrome.runtime.sendMessage({
+        type: 'pickerResult',
+        selector: request.selector,
+        locators: request.locators,
+        frameId: sender.frameId,
+        frameUrl: sender.frameId !== 0 ? sender.url : undefined
+    });
+}
+
+// The side panel has already validated the flows and resolved name conflicts.
+async function handleImportFlows(flows, meta = {}) {
+    for (const [flowName, steps] of Object.entries(flows)) {
+        await saveFlowSteps(flowName, steps, 'import');
+    }
+    for (const [flowName, flowMeta] of Object.entries(meta)) {
+        if (flows[flowName]) await updateFlowMeta(flowName, flowMeta);
+    }
+    log(`Imported ${Object.keys(flows).length} flow(s).`);
+    chrome.runtime.sendMessage({ type: "flowsUpdated" });
+}
+
 async function handleDeleteFlow(flowName) {
     const savedFlows = await loadSavedFlows();
     delete savedFlows[flowName];
     await chrome.storage.local.set({ flows: savedFlows });
+    await deleteFlowMeta(flowName);
+    await chrome.storage.local.remove(FLOW_VERSIONS_PREFIX + flowName);
     chrome.runtime.sendMessage({ type: "flowsUpdated" });
+
+    // A schedule without its flow would only ever fail.
+    const schedules = await loadSchedules();
+    for (const schedule of schedules.filter(schedule => schedule.flowName === flowName)) {
+        await handleDeleteSchedule(schedule.id);
+    }
 }
 
 async function loadSavedFlows() {
     const result = await chrome.storage.local.get('flows');
     return result.flows || {};
-}
\ No newline at end of file
+}
+
+// Per-flow settings that are not steps, keyed by flow name like `flows`:
+//   { variables: { name: defaultValue }, timing, description, folder, tags: [],
+//     createdAt, modifiedAt, lastRunAt, lastRunStatus }
+async function loadFlowMeta() {
+    const result = await chrome.storage.local.get('flowMeta');
+    return result.flowMeta || {};
+}
+
+async function updateFlowMeta(flowName, changes) {
+    const allMeta = await loadFlowMeta();
+    allMeta[flowName] = { ...(allMeta[flowName] || {}), ...changes };
+    await chrome.storage.local.set({ flowMeta: allMeta });
+}
+
+async function deleteFlowMeta(flowName) {
+    const allMeta = await loadFlowMeta();
+    delete allMeta[flowName];
+    await chrome.storage.local.set({ flowMeta: allMeta });
+}
+
+// --- Library Management ---
+// The side panel has already checked that `newName` is free.
+async function handleRenameFlow(flowName, newName) {
+    const [savedFlows, allMeta, versions] = await Promise.all([loadSavedFlows(), loadFlowMeta(), loadFlowVersions(flowName)]);
+    if (!savedFlows[flowName] || savedFlows[newName]) return;
+    savedFlows[newName] = savedFlows[flowName];
+    delete savedFlows[flowName];
+    if (allMeta[flowName]) {
+        allMeta[newName] = allMeta[flowName];
+        delete allMeta[flowName];
+    }
+    await chrome.storage.local.set({ flows: savedFlows, flowMeta: allMeta, [FLOW_VERSIONS_PREFIX + newName]: versions });
+    await chrome.storage.local.remove(FLOW_VERSIONS_PREFIX + flowName);
+    log(`Flow "${flowName}" renamed to "${newName}".`);
+    chrome.runtime.sendMessage({ type: "flowsUpdated" });
+
+    // Calls from other flows follow it, as do schedules. Past run reports keep the name
+    // the flow ran under.
+    const callers = Object.values(savedFlows).flat().filter(step => step.type === 'callFlow' && step.flowName === flowName);
+    if (callers.length > 0) {
+        callers.forEach(step => { step.flowName = newName; });
+        await chrome.storage.local.set({ flows: savedFlows });
+        chrome.runtime.sendMessage({ type: "flowsUpdated" });
+    }
+    const schedules = await loadSchedules();
+    if (schedules.some(schedule => schedule.flowName === flowName)) {
+        schedules.forEach(schedule => { if (schedule.flowName === flowName) schedule.flowName = newName; });
+        await saveSchedules(schedules);
+    }
+}
+
+// The copy starts its own history; its settings and description come along.
+async function handleDuplicateFlow(flowName, newName) {
+    const [savedFlows, allMeta] = await Promise.all([loadSavedFlows(), loadFlowMeta()]);
+    if (!savedFlows[flowName] || savedFlows[newName]) return;
+    await saveFlowSteps(newName, savedFlows[flowName], 'copy');
+    const { createdAt, modifiedAt, lastRunAt, lastRunStatus, ...settings } = allMeta[flowName] || {};
+    await updateFlowMeta(newName, settings);
+    log(`Flow "${flowName}" duplicated as "${newName}".`);
+    chrome.runtime.sendMessage({ type: "flowsUpdated" });
+}
+
+async function handleUpdateFlowDetails(flowName, details) {
+    const { description, folder, tags } = details;
+    await updateFlowMeta(flowName, { description: description, folder: folder, tags: tags });
+    chrome.runtime.sendMessage({ type: "flowsUpdated" });
+}
+
+// --- Flow Versions ---
+// Every save of a flow's steps (recording, editor, import, copy, restore) is kept under
+// FLOW_VERSIONS_PREFIX + name as { savedAt, source, steps }, newest first, so changes can be
+// compared and undone. The newest version is the flow as it is now. Breakpoints and stale
+// locator marks change the saved steps without making a version.
+const FLOW_VERSIONS_PREFIX = 'versions:';
+const MAX_FLOW_VERSIONS = 20;
+
+async function loadFlowVersions(flowName) {
+    const key = FLOW_VERSIONS_PREFIX + flowName;
+    const result = await chrome.storage.local.get(key);
+    return result[key] || [];
+}
+
+// Saves the steps as the flow's newest version and keeps its created/modified times.
+async function saveFlowSteps(flowName, steps, source) {
+    const [savedFlows, allMeta, versions] = await Promise.all([loadSavedFlows(), loadFlowMeta(), loadFlowVersions(flowName)]);
+    const previous = savedFlows[flowName];
+    const meta = allMeta[flowName] || {};
+    const now = Date.now();
+    // Flows saved before there were versions bring their steps in as the oldest one.
+    if (previous && versions.length === 0) {
+        versions.push({ savedAt: meta.modifiedAt || meta.createdAt || null, source: 'earlier', steps: previous });
+    }
+    if (!previous || JSON.stringify(previous) !== JSON.stringify(steps)) {
+        versions.unshift({ savedAt: now, source: source, steps: steps });
+    }
+    savedFlows[flowName] = steps;
+    allMeta[flowName] = { ...meta, createdAt: meta.createdAt || (previous ? undefined : now), modifiedAt: now };
+    await chrome.storage.local.set({
+        flows: savedFlows,
+        flowMeta: allMeta,
+        [FLOW_VERSIONS_PREFIX + flowName]: versions.slice(0, MAX_FLOW_VERSIONS)
+    });
+}
+
+async function handleRestoreFlowVersion(flowName, savedAt) {
+    const version = (await loadFlowVersions(flowName)).find(candidate => candidate.savedAt === savedAt);
+    if (!version) return;
+    await saveFlowSteps(flowName, version.steps, 'restore');
+    log(`Flow "${flowName}" restored to an earlier version.`);
+    chrome.runtime.sendMessage({ type: "flowsUpdated" });
+}
+
+// Kept on the flow so the library can sort by it; the run history may have trimmed the run.
+async function recordFlowRun(report) {
+    const savedFlows = await loadSavedFlows();
+    if (!savedFlows[report.flowName]) return;
+    await updateFlowMeta(report.flowName, { lastRunAt: report.startedAt, lastRunStatus: report.status });
+    chrome.runtime.sendMessage({ type: "flowsUpdated" });
+}
+
+// --- Environments ---
+// A flow recorded against one deployment runs against another through an environment
+// profile, stored in chrome.storage.local as `environments`:
+//   [{ id, name, rewrites: [{ from: 'https://staging.example.com', to: 'https://dev.example.com' }] }]
+// Rewrites replace a URL prefix in 'goto' and 'navigate' steps (replay loads the URL of
+// typed navigations itself); the first matching rewrite wins.
+async function loadEnvironments() {
+    const result = await chrome.storage.local.get('environments');
+    return result.environments || [];
+}
+
+async function findEnvironment(environmentId) {
+    if (!environmentId) return null;
+    const environment = (await loadEnvironments()).find(candidate => candidate.id === environmentId);
+    if (!environment) throw new Error('The chosen environment no longer exists.');
+    return environment;
+}
+
+async function handleSaveEnvironment(environment) {
+    const environments = await loadEnvironments();
+    const saved = { ...environment, id: environment.id || crypto.randomUUID() };
+    const index = environments.findIndex(candidate => candidate.id === saved.id);
+    if (index === -1) environments.push(saved);
+    else environments[index] = saved;
+    await chrome.storage.local.set({ environments: environments });
+    chrome.runtime.sendMessage({ type: 'environmentsUpdated' });
+}
+
+async function handleDeleteEnvironment(environmentId) {
+    const environments = await loadEnvironments();
+    await chrome.storage.local.set({ environments: environments.filter(environment => environment.id !== environmentId) });
+    chrome.runtime.sendMessage({ type: 'environmentsUpdated' });
+}
+
+// A prefix ends where a path segment does: staging.example.com is not staging.example.com.au.
+function rewriteUrl(url, environment) {
+    const rewrite = environment.rewrites.find(({ from }) => {
+        const rest = url.slice(from.length);
+        return url.startsWith(from) && (from.endsWith('/') || rest === '' || /^[/?#]/.test(rest));
+    });
+    return rewrite ? rewrite.to + url.slice(rewrite.from.length) : url;
+}
+
+function rewriteStepUrl(step, environment) {
+    if (!environment || (step.type !== 'goto' && step.type !== 'navigate')) return step;
+    return { ...step, url: rewriteUrl(step.url, environment) };
+}
+
+// --- Sub-flows ---
+// A 'callFlow' step runs another saved flow in its place:
+//   { type: 'callFlow', flowName, bindings: { variable: value }, skipGoto, tabRef }
+// Bindings set the called flow's variables and may use the caller's {{variables}}. Runs expand
+// calls up front into one flat list, so control blocks, jumps, breakpoints and reports work
+// unchanged; the call step stays in the list to mark where the called steps begin. Every
+// expanded step carries `origin: { flowName, index, depth }`, the saved step it came from.
+// The called flow's opening goto loads its URL in the caller's tab, unless `skipGoto` carries
+// on from the page the caller is on. Its tab 0 is the caller's tab (the call's `tabRef`);
+// tabs it opens are numbered after the highest one the steps before the call use.
+// Values extract steps store are only known once the run gets there, so references to them
+// are left in place for fillExtractedValues.
+
+// `call` is only set when expanding a called flow: { step, stack, expanded, extractedNames }.
+function expandFlowCalls(flowName, steps, flowVariables, savedFlows, allMeta, call = null) {
+    const stack = call ? [...call.stack, flowName] : [flowName];
+    const expanded = call ? call.expanded : [];
+    const extractedNames = call ? call.extractedNames : findExtractedNames(steps, savedFlows);
+    const variables = { ...flowVariables, ...Object.fromEntries(extractedNames.map(name => [name, `{{${name}}}`])) };
+    const callerTab = call ? call.step.tabRef || 0 : 0;
+    const tabOffset = call ? Math.max(0, ...expanded.map(step => step.tabRef || 0)) : 0;
+    const placeTab = step => {
+        if (!call || ['wait', 'else', 'end'].includes(step.type)) return step;
+        return { ...step, tabRef: step.tabRef ? step.tabRef + tabOffset : callerTab };
+    };
+    // Where each saved step landed, for pointing on-error jumps at the expanded steps.
+    const positions = [];
+    const jumps = [];
+
+    steps.forEach((savedStep, index) => {
+        positions[index] = expanded.length;
+        const origin = { flowName: flowName, index: index, depth: stack.length - 1 };
+        const step = { ...substituteVariables(savedStep, variables), origin: origin };
+        // A called flow's opening goto loads its page in the caller's tab; any other first step
+        // runs like the rest.
+        if (call && index === 0 && step.type === 'goto') {
+            const { url, breakpoint } = step;
+            if (!call.step.skipGoto) expanded.push(placeTab({ type: 'navigate', url: url, transition: 'typed', frameId: 0, breakpoint: breakpoint, origin: origin }));
+            return;
+        }
+        expanded.push(placeTab(step));
+        if (step.onError === 'goto') jumps.push(expanded[expanded.length - 1]);
+        if (step.type !== 'callFlow') return;
+
+        const calledSteps = savedFlows[step.flowName];
+        if (!calledSteps) throw new Error(`Step ${index + 1} calls "${step.flowName}", which doesn't exist.`);
+        // Nothing to run, as in exported scripts (see inlineFlowCalls in codegen.js).
+        if (calledSteps.length === 0) {
+            log(`Step ${index + 1} calls "${step.flowName}", which has no steps; leaving it out.`);
+            return;
+        }
+        if (stack.includes(step.flowName)) {
+            throw new Error(`Step ${index + 1} calls "${step.flowName}", which is already running: ${[...stack, step.flowName].join(' → ')}.`);
+        }
+        try {
+            const bound = {};
+            for (const [name, value] of Object.entries(step.bindings || {})) bound[name] = substituteText(String(value), variables);
+            const calledVariables = { ...((allMeta[step.flowName] || {}).variables || {}), ...bound };
+            const calledFrom = { step: expanded[expanded.length - 1], stack: stack, expanded: expanded, extractedNames: extractedNames };
+            expandFlowCalls(step.flowName, calledSteps, calledVariables, savedFlows, allMeta, calledFrom);
+        } catch (error) {
+            throw new Error(`Step ${index + 1} calls "${step.flowName}": ${error.message}`);
+        }
+    });
+    // A jump outside the flow is left without a target, which stops the run when it fails.
+    jumps.forEach(step => {
+        const position = positions[Number(step.onErrorStep) - 1];
+        step.onErrorStep = position === undefined ? undefined : position + 1;
+    });
+    return expanded;
+}
+
+// The variables extract steps store into, in the flow and every flow it calls.
+function findExtractedNames(steps, savedFlows, visited = new Set()) {
+    const names = new Set();
+    steps.forEach(step => {
+        if (step.type === 'extract' && step.variable) names.add(step.variable);
+        if (step.type !== 'callFlow' || visited.has(step.flowName)) return;
+        visited.add(step.flowName);
+        findExtractedNames(savedFlows[step.flowName] || [], savedFlows, visited).forEach(name => names.add(name));
+    });
+    return [...names];
+}
+
+// Fields that may contain {{variable}} references.
+const VARIABLE_FIELDS = ['url', 'value', 'expected'];
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+function substituteVariables(step, variables) {
+    const resolved = { ...step };
+    for (const field of VARIABLE_FIELDS) {
+        if (typeof resolved[field] === 'string') resolved[field] = substituteText(resolved[field], variables);
+    }
+    return resolved;
+}
+
+function substituteText(text, variables) {
+    return text.replace(VARIABLE_PATTERN, (match, name) => {
+        if (!(name in variables)) throw new Error(`Variable "${name}" has no value.`);
+        return String(variables[name]);
+    });
+}
+
+// --- Extracted Data ---
+// An 'extract' step reads data off the page into `report.data[step.variable]`:
+//   text / attribute - a string       all - a list of strings
+//   table - a list of row objects     cards - a list of objects, one per card
+// With `accumulate` it appends to the list instead (across loop iterations, say). Later
+// steps use the values as {{variable}}; lists and objects go in as JSON.
+function fillExtractedValues(step, data) {
+    const filled = { ...step };
+    for (const field of VARIABLE_FIELDS) {
+        if (typeof filled[field] !== 'string') continue;
+        filled[field] = filled[field].replace(VARIABLE_PATTERN, (match, name) => {
+            if (!(name in data)) throw new Error(`Variable "${name}" has no value yet; the step that extracts it hasn't run.`);
+            return typeof data[name] === 'string' ? data[name] : JSON.stringify(data[name]);
+        });
+    }
+    return filled;
+}
+
+function storeExtractedValue(report, step, stepReport, value) {
+    const previous = report.data[step.variable];
+    if (step.accumulate) {
+        report.data[step.variable] = [...(previous === undefined ? [] : [].concat(previous)), ...[].concat(value)];
+    } else {
+        report.data[step.variable] = value;
+    }
+    const stored = report.data[step.variable];
+    if (Array.isArray(stored)) {
+        stepReport.note = `${stored.length} item(s) in "${step.variable}"`;
+    } else {
+        const text = String(stored);
+        stepReport.note = `"${text.length > 60 ? text.slice(0, 57) + '...' : text}" into "${step.variable}"`;
+    }
+}
+
+// =================================================================================
+//                          RUN HISTORY
+// =================================================================================
+
+// Each run is stored under its own key (screenshots make reports large), with a small
+// index of summaries under `runIndex` for listing. Only the newest MAX_RUN_HISTORY are kept.
+const RUN_KEY_PREFIX = 'run:';
+const MAX_RUN_HISTORY = 50;
+
+async function loadSettings() {
+    const result = await chrome.storage.local.get('settings');
+    return { screenshotEveryStep: false, sensitiveSelector: '', externalCallers: [], externalSecretCallers: [], ...(result.settings || {}) };
+}
+
+async function handleSaveSettings(changes) {
+    const settings = await loadSettings();
+    await chrome.storage.local.set({ settings: { ...settings, ...changes } });
+}
+
+async function loadRunIndex() {
+    const result = await chrome.storage.local.get('runIndex');
+    return result.runIndex || [];
+}
+
+function createRunReport(flowName, trigger, totalSteps, id = crypto.randomUUID()) {
+    return {
+        id: id,
+        flowName: flowName,
+        trigger: trigger,
+        startedAt: Date.now(),
+        finishedAt: null,
+        status: 'running',
+        message: '',
+        totalSteps: totalSteps,
+        steps: [],
+        // Values extract steps stored, by variable name.
+        data: {}
+    };
+}
+
+function startStepReport(report, step, stepIndex) {
+    const stepReport = {
+        index: stepIndex,
+        step: step,
+        frameId: step.frameId || 0,
+        status: 'running',
+        startedAt: Date.now(),
+        duration: 0
+    };
+    report.steps.push(stepReport);
+    return stepReport;
+}
+
+// Steps `from` up to (not including) `to`, passed over by a branch or a loop that didn't run.
+function skipStepReports(report, steps, from, to) {
+    for (let stepIndex = from; stepIndex < to; stepIndex++) {
+        report.steps.push({ index: stepIndex, step: steps[stepIndex], status: 'skipped', duration: 0 });
+    }
+}
+
+function finishStepReport(stepReport, status, error) {
+    stepReport.status = status;
+    stepReport.duration = Date.now() - stepReport.startedAt;
+    if (error) stepReport.error = error;
+}
+
+// Never lets a failed capture (tab closed, window minimized, rate limit) break the run.
+async function captureScreenshot(tab) {
+    try {
+        return await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'jpeg', quality: 60 });
+    } catch (error) {
+        log(`Screenshot failed: ${error.message}`);
+        return null;
+    }
+}
+
+// Saves the report and returns the run outcome handleRunFlow resolves with.
+async function finishRunReport(report, status, message = '', steps = []) {
+    report.status = status;
+    report.message = message;
+    report.finishedAt = Date.now();
+    // Steps the run never reached, so the report shows the whole flow.
+    const reached = new Set(report.steps.map(stepReport => stepReport.index));
+    steps.forEach((step, stepIndex) => {
+        if (!reached.has(stepIndex)) report.steps.push({ index: stepIndex, step: step, status: 'skipped', duration: 0 });
+    });
+
+    try {
+        const { steps: stepReports, data, ...summary } = report;
+        const index = [{ ...summary, failedStep: (stepReports.find(step => step.status === 'error') || {}).index }, ...await loadRunIndex()];
+        const expired = index.splice(MAX_RUN_HISTORY);
+        await chrome.storage.local.set({ [RUN_KEY_PREFIX + report.id]: report, runIndex: index });
+        if (expired.length > 0) await chrome.storage.local.remove(expired.map(run => RUN_KEY_PREFIX + run.id));
+        chrome.runtime.sendMessage({ type: 'runHistoryUpdated' });
+        await recordFlowRun(report);
+    } catch (error) {
+        log(`Could not save the run report: ${error.message}`);
+    }
+    return { status: status, message: message, runId: report.id };
+}
+
+async function handleDeleteRunReports(runIds) {
+    const index = await loadRunIndex();
+    await chrome.storage.local.set({ runIndex: index.filter(run => !runIds.includes(run.id)) });
+    await chrome.storage.local.remove(runIds.map(id => RUN_KEY_PREFIX + id));
+    chrome.runtime.sendMessage({ type: 'runHistoryUpdated' });
+}
+
+// =================================================================================
+//                          SECRETS
+// =================================================================================
+
+// Passwords and other sensitive values never sit in a flow: their steps say {{secret:name}}
+// instead, and the values live encrypted in chrome.storage.local under `secretVault`:
+//   { salt, check, secrets: { name: { iv, data } } }   (all base64)
+// The user's passphrase derives an AES-GCM key (PBKDF2); `check` is a known text encrypted
+// with it, which tells a wrong passphrase. Unlocking keeps the key in session storage, which
+// lives in memory until the browser closes and is out of the content scripts' reach, so
+// scheduled runs can use the secrets meanwhile. Values recorded while the vault is locked
+// wait there too (`pendingSecrets`) and are encrypted once it is unlocked.
+const SECRET_PATTERN = /\{\{\s*secret:([\w.-]+)\s*\}\}/g;
+// Secrets stand in for typed values only, never for URLs, which end up in history and logs.
+const SECRET_FIELDS = ['value', 'expected'];
+const SECRET_MASK = '••••••';
+const VAULT_CHECK_TEXT = 'replicate-operator';
+const VAULT_KEY_ITERATIONS = 250000;
+
+function toBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+async function deriveVaultKey(passphrase, salt) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: salt, iterations: VAULT_KEY_ITERATIONS, hash: 'SHA-256' },
+        material, { name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']
+    );
+}
+
+async function encryptSecret(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(value));
+    return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+async function decryptSecret(key, encrypted) {
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(encrypted.iv) }, key, fromBase64(encrypted.data));
+    return new TextDecoder().decode(data);
+}
+
+async function loadVault() {
+    const result = await chrome.storage.local.get('secretVault');
+    return result.secretVault || null;
+}
+
+// The unlocked vault's key, or null while it is locked.
+async function loadVaultKey() {
+    const { secretKey } = await chrome.storage.session.get('secretKey');
+    return secretKey ? crypto.subtle.importKey('raw', fromBase64(secretKey), 'AES-GCM', false, ['encrypt', 'decrypt']) : null;
+}
+
+async function loadPendingSecrets() {
+    const { pendingSecrets } = await chrome.storage.session.get('pendingSecrets');
+    return pendingSecrets || {};
+}
+
+async function loadSecretStatus() {
+    const [vault, key, pending] = await Promise.all([loadVault(), loadVaultKey(), loadPendingSecrets()]);
+    return {
+        hasVault: !!vault,
+        unlocked: !!key,
+        stored: vault ? Object.keys(vault.secrets) : [],
+        pending: Object.keys(pending)
+    };
+}
+
+// Vault updates go one at a time, so secrets recorded in quick succession don't overwrite each other.
+let vaultWrites = Promise.resolve();
+
+function queueVaultWrite(write) {
+    const result = vaultWrites.then(write);
+    vaultWrites = result.catch(error => log(`Could not update the secrets: ${error.message}`));
+    return result;
+}
+
+function storeSecret(name, value) {
+    return queueVaultWrite(async () => {
+        const [vault, key] = await Promise.all([loadVault(), loadVaultKey()]);
+        if (vault && key) {
+            vault.secrets[name] = await encryptSecret(key, value);
+            await chrome.storage.local.set({ secretVault: vault });
+        } else {
+            await chrome.storage.session.set({ pendingSecrets: { ...await loadPendingSecrets(), [name]: value } });
+        }
+        chrome.runtime.sendMessage({ type: 'secretsUpdated' });
+    });
+}
+
+// The first passphrase creates the vault; later ones have to match it.
+function handleUnlockSecrets(passphrase) {
+    return queueVaultWrite(async () => {
+        let vault = await loadVault();
+        let key;
+        if (vault) {
+            key = await deriveVaultKey(passphrase, fromBase64(vault.salt));
+            try {
+                await decryptSecret(key, vault.check);
+            } catch (error) {
+                return { status: 'error', message: 'Wrong passphrase.' };
+            }
+        } else {
+            const salt = crypto.getRandomValues(new Uint8Array(16));
+            key = await deriveVaultKey(passphrase, salt);
+            vault = { salt: toBase64(salt), check: await encryptSecret(key, VAULT_CHECK_TEXT), secrets: {} };
+        }
+        const pending = await loadPendingSecrets();
+        for (const [name, value] of Object.entries(pending)) {
+            vault.secrets[name] = await encryptSecret(key, value);
+        }
+        await chrome.storage.local.set({ secretVault: vault });
+        await chrome.storage.session.set({ secretKey: toBase64(await crypto.subtle.exportKey('raw', key)) });
+        await chrome.storage.session.remove('pendingSecrets');
+        log(`Secrets unlocked${Object.keys(pending).length > 0 ? `, ${Object.keys(pending).length} recorded secret(s) stored` : ''}.`);
+        chrome.runtime.sendMessage({ type: 'secretsUpdated' });
+        return { status: 'success' };
+    });
+}
+
+async function handleLockSecrets() {
+    await chrome.storage.session.remove('secretKey');
+    chrome.runtime.sendMessage({ type: 'secretsUpdated' });
+}
+
+function handleDeleteSecret(name) {
+    return queueVaultWrite(async () => {
+        const [vault, pending] = await Promise.all([loadVault(), loadPendingSecrets()]);
+        if (vault) {
+            delete vault.secrets[name];
+            await chrome.storage.local.set({ secretVault: vault });
+        }
+        delete pending[name];
+        await chrome.storage.session.set({ pendingSecrets: pending });
+        chrome.runtime.sendMessage({ type: 'secretsUpdated' });
+    });
+}
+
+// A forgotten passphrase can't be recovered; starting over is the only way out.
+function handleForgetSecrets() {
+    return queueVaultWrite(async () => {
+        await chrome.storage.local.remove('secretVault');
+        await chrome.storage.session.remove(['secretKey', 'pendingSecrets']);
+        log('All secrets forgotten.');
+        chrome.runtime.sendMessage({ type: 'secretsUpdated' });
+    });
+}
+
+// Sensitive fields arrive from the content script with their value and a suggested name;
+// only the reference is recorded.
+function concealRecordedSecret(step, secretName) {
+    const field = step.type === 'assert' ? 'expected' : 'value';
+    storeSecret(secretName, String(step[field]));
+    step[field] = `{{secret:${secretName}}}`;
+}
+
+// Flows recorded before sensitive fields were recognized hold what was typed into them. The
+// fields are gone by now, so they are told by how the steps point at them.
+const LEGACY_SENSITIVE_TARGET = /passw|passcode|pwd|one-time-code|cc-(?:number|csc|exp)|cvc|cvv/i;
+
+function isLegacySensitiveStep(step) {
+    if (step.type !== 'change' || typeof step.value !== 'string' || !step.value || step.value.includes('{{')) return false;
+    return LEGACY_SENSITIVE_TARGET.test(JSON.stringify([step.selector, step.locators]));
+}
+
+// The field's id or name, as the recorder would have suggested it.
+function suggestLegacySecretName(step) {
+    const match = (step.selector || '').match(/#([\w-]+)|\[name="([^"]+)"\]/);
+    return match ? (match[1] || match[2]).replace(/[^\w.-]+/g, '-') : 'password';
+}
+
+// Moves those values into the secrets once, as recording does now, in the flows and their
+// versions; the run history only gets them masked. Safe to run again: moved values are
+// references, which are left alone.
+async function migratePlaintextSecrets() {
+    const stored = await chrome.storage.local.get(null);
+    const [vault, pending] = await Promise.all([loadVault(), loadPendingSecrets()]);
+    const taken = new Set([...Object.keys(vault ? vault.secrets : {}), ...Object.keys(pending)]);
+    // The same value in the same field (a flow and its versions) becomes one secret.
+    const moved = new Map();
+    const concealSteps = steps => steps.map(step => {
+        if (!isLegacySensitiveStep(step)) return step;
+        const suggested = suggestLegacySecretName(step);
+        const id = `${suggested}\n${step.value}`;
+        if (!moved.has(id)) {
+            let name = suggested;
+            for (let n = 2; taken.has(name); n++) name = `${suggested}-${n}`;
+            taken.add(name);
+            moved.set(id, { name: name, value: step.value });
+        }
+        return { ...step, value: `{{secret:${moved.get(id).name}}}` };
+    });
+
+    const changes = {};
+    if (stored.flows) {
+        changes.flows = Object.fromEntries(Object.entries(stored.flows).map(([name, steps]) => [name, concealSteps(steps)]));
+    }
+    Object.keys(stored).filter(key => key.startsWith(FLOW_VERSIONS_PREFIX)).forEach(key => {
+        changes[key] = stored[key].map(version => ({ ...version, steps: concealSteps(version.steps) }));
+    });
+    Object.keys(stored).filter(key => key.startsWith(RUN_KEY_PREFIX)).forEach(key => {
+        changes[key] = {
+            ...stored[key],
+            steps: stored[key].steps.map(stepReport => {
+                if (!isLegacySensitiveStep(stepReport.step)) return stepReport;
+                return { ...stepReport, step: { ...stepReport.step, value: SECRET_MASK } };
+            })
+        };
+    });
+    const changed = Object.keys(changes).filter(key => JSON.stringify(changes[key]) !== JSON.stringify(stored[key]));
+    if (changed.length === 0) return;
+
+    // The values go into the secrets before the flows let go of them.
+    await Promise.all([...moved.values()].map(({ name, value }) => storeSecret(name, value)));
+    await chrome.storage.local.set(Object.fromEntries(changed.map(key => [key, changes[key]])));
+    log(`Moved ${moved.size} value(s) of password and card fields in saved flows into the secrets.`);
+}
+
+function findSecretNames(steps) {
+    const names = new Set();
+    steps.forEach(step => SECRET_FIELDS.forEach(field => {
+        if (typeof step[field] !== 'string') return;
+        for (const match of step[field].matchAll(SECRET_PATTERN)) names.add(match[1]);
+    }));
+    return [...names];
+}
+
+// The values of every secret the steps use, by name. `provided` ones (typed in for this run
+// in the side panel) win over stored ones, which are only used when `useStored` is set.
+// Fails when any is missing, before a tab is opened.
+async function collectRunSecrets(steps, provided = {}, useStored = true) {
+    const names = findSecretNames(steps);
+    if (names.length === 0) return {};
+    const [vault, key, pending] = await Promise.all([loadVault(), loadVaultKey(), loadPendingSecrets()]);
+    const secrets = {};
+    for (const name of names) {
+        if (name in provided) secrets[name] = provided[name];
+        else if (useStored && key && vault && vault.secrets[name]) secrets[name] = await decryptSecret(key, vault.secrets[name]);
+        else if (useStored && name in pending) secrets[name] = pending[name];
+    }
+    const missing = names.filter(name => !(name in secrets));
+    if (missing.length > 0 && !useStored) {
+        throw new Error(`No value for secret(s) ${missing.map(name => `"${name}"`).join(', ')}: this run may not use the stored secrets (see External Access in the side panel).`);
+    }
+    if (missing.length > 0) {
+        throw new Error(`No value for secret(s) ${missing.map(name => `"${name}"`).join(', ')}: unlock the secrets in the side panel, or run the flow from there to enter them.`);
+    }
+    return secrets;
+}
+
+// A copy of the step with its secrets filled in; `concealed` tells the replay script which
+// fields to keep out of its logs and errors.
+function revealSecrets(step, secrets) {
+    const concealed = SECRET_FIELDS.filter(field => typeof step[field] === 'string' && step[field].search(SECRET_PATTERN) !== -1);
+    if (concealed.length === 0) return step;
+    const revealed = { ...step, concealed: concealed };
+    concealed.forEach(field => {
+        revealed[field] = step[field].replace(SECRET_PATTERN, (match, name) => secrets[name]);
+    });
+    return revealed;
+}
+
+function maskSecrets(text, secrets) {
+    return Object.values(secrets).filter(Boolean).reduce((masked, value) => masked.split(value).join(SECRET_MASK), text);
+}
+
+// =================================================================================
+//                          SESSION STATE
+// =================================================================================
+
+// MV3 service workers are stopped after ~30s without events and lose their globals.
+// Recording and run state are mirrored to chrome.storage.session (kept until the browser
+// closes) and restored when the worker starts again. Each unfinished run is stored under
+// its own ACTIVE_RUN_PREFIX key.
+const ACTIVE_RUN_PREFIX = 'activeRun:';
+const KEEP_ALIVE_INTERVAL = 20000;
+
+// Everything that reads recording or run state waits for this first.
+async function restoreSessionState() {
+    const stored = await chrome.storage.session.get(null);
+    if (stored.recording) {
+        ({ isRecording, recordedSteps, lastActionTimestamp, recordingTabId, recordingTabRefs, openedTabCount, currentTabRef } = stored.recording);
+        if (isRecording) log(`Restored the recording on tab ${recordingTabId} (${recordedSteps.length} steps).`);
+    }
+    const runs = Object.keys(stored).filter(key => key.startsWith(ACTIVE_RUN_PREFIX)).map(key => stored[key]);
+    // Controllers exist before anything waiting on the restore runs; the runs go on in the background.
+    runs.forEach(run => resumeInterruptedRun(run, createReplayController(run.id, run.flowName, run.steps, {
+        ...run.options, resumeState: run.controllerState
+    })));
+}
+
+function saveRecordingState() {
+    return chrome.storage.session.set({
+        recording: { isRecording, recordedSteps, lastActionTimestamp, recordingTabId, recordingTabRefs, openedTabCount, currentTabRef }
+    });
+}
+
+// Screenshots stay out of the session copy: session storage is small, and losing the
+// per-step screenshots taken before a restart is better than losing the run. Secret values
+// stay out too; a resumed run collects them again (see resumeInterruptedRun).
+async function saveRunState(run, controller) {
+    const { secrets, options: { secrets: providedSecrets, ...options }, ...state } = run;
+    const report = { ...run.report, steps: run.report.steps.map(({ screenshot, ...stepReport }) => stepReport) };
+    const controllerState = { status: controller.status, breakpoints: [...controller.breakpoints], speed: controller.speed };
+    try {
+        await chrome.storage.session.set({ [ACTIVE_RUN_PREFIX + run.id]: { ...state, options: options, report: report, controllerState: controllerState } });
+    } catch (error) {
+        log(`Could not save the state of run ${run.id}: ${error.message}`);
+    }
+}
+
+function clearRunState(runId) {
+    return chrome.storage.session.remove(ACTIVE_RUN_PREFIX + runId);
+}
+
+// Nobody is waiting for the outcome any more (the caller died with the old worker), but
+// the run finishes and its report lands in the run history as usual. Its secrets come from
+// the vault again, so a run that needs them only resumes while the vault is unlocked.
+async function resumeInterruptedRun(run, controller) {
+    log(`Resuming run ${run.id} of "${run.flowName}" at step ${run.nextStepIndex + 1}.`);
+    // Drop the report of a step that was cut off mid-way; it runs again from the start.
+    run.report.steps = run.report.steps.filter(stepReport => stepReport.status !== 'running');
+    let tracker;
+    try {
+        run.secrets = await collectRunSecrets(run.steps, {}, run.options.storedSecrets !== false);
+        await chrome.tabs.get(run.tab.id);
+        tracker = createNavigationTracker(run.tab.id);
+        await injectReplayScript(run.tab.id);
+        await waitForPageSettled(tracker);
+        tracker.skipCommits();
+    } catch (error) {
+        log(`Could not resume run ${run.id}: ${error.message}`);
+        if (tracker) tracker.stop();
+        const outcome = await finishRunReport(run.report, 'error', `Could not resume after the extension restarted: ${error.message}`, run.steps);
+        controller.finish(outcome);
+        await clearRunState(run.id);
+        return outcome;
+    }
+    return runFlowSteps(run, controller, tracker);
+}
+
+// =================================================================================
+//                          REPLAY CONTROLLER
+// =================================================================================
+
+// The run the side panel's replay controls drive. Only runs that aren't silent get one;
+// starting another replaces it, leaving the older run to finish on its own.
+let activeReplay = null;
+
+// State machine between the runner and the side panel:
+//   running --pause / breakpoint--> paused --resume--> running
+//   paused --step--> running (one step) --> paused
+//   running / paused --stop--> stopping --> finished
+// Commands only change the state; the runner acts on it at its next checkpoint, before a step.
+function createReplayController(runId, flowName, steps, options) {
+    const controller = {
+        runId: runId,
+        flowName: flowName,
+        steps: steps,
+        interactive: !options.silent,
+        status: options.startPaused ? 'paused' : 'running',
+        currentStep: 0,
+        breakpoints: new Set(steps.flatMap((step, stepIndex) => step.breakpoint ? [stepIndex] : [])),
+        // Multiplier for recorded waits: 0 skips them, 2 makes them last twice as long.
+        speed: 1,
+        result: null,
+        // Called on every state change; the runner uses it to persist the run.
+        onChange: null
+    };
+    // A run picked up after a worker restart carries on where its controls were left.
+    if (options.resumeState) {
+        controller.status = options.resumeState.status;
+        controller.breakpoints = new Set(options.resumeState.breakpoints);
+        controller.speed = options.resumeState.speed;
+    }
+    let stepping = false;
+    let wake = null;
+
+    const publish = () => {
+        if (controller.onChange) controller.onChange();
+        if (controller.interactive) chrome.runtime.sendMessage({ type: 'replayStateChanged', state: controller.getState() });
+    };
+    const resume = () => {
+        if (wake) wake();
+        wake = null;
+    };
+
+    controller.getState = () => ({
+        runId: controller.runId,
+        flowName: controller.flowName,
+        steps: controller.steps,
+        status: controller.status,
+        currentStep: controller.currentStep,
+        breakpoints: [...controller.breakpoints],
+        speed: controller.speed,
+        result: controller.result
+    });
+
+    controller.command = (command) => {
+        if (controller.status === 'finished' || controller.status === 'stopping') return;
+        switch (command) {
+            case 'pause':
+                controller.status = 'paused';
+                break;
+            case 'resume':
+                controller.status = 'running';
+                resume();
+                break;
+            case 'step':
+                if (controller.status !== 'paused') return;
+                controller.status = 'running';
+                stepping = true;
+                resume();
+                break;
+            case 'stop':
+                controller.status = 'stopping';
+                resume();
+                break;
+            default:
+                return;
+        }
+        log(`Replay ${command} requested at step ${controller.currentStep + 1}.`);
+        publish();
+    };
+
+    controller.setSpeed = (speed) => {
+        controller.speed = Math.max(0, Number(speed) || 0);
+        publish();
+    };
+
+    controller.setBreakpoint = (stepIndex, enabled) => {
+        if (enabled) controller.breakpoints.add(stepIndex);
+        else controller.breakpoints.delete(stepIndex);
+        publish();
+    };
+
+    // Resolves to false when the run should stop instead of executing the step.
+    controller.checkpoint = async (stepIndex, onPause) => {
+        controller.currentStep = stepIndex;
+        if (controller.status === 'running' && (stepping || controller.breakpoints.has(stepIndex))) {
+            controller.status = 'paused';
+        }
+        stepping = false;
+        publish();
+        if (controller.status === 'paused') {
+            await onPause();
+            await new Promise(resolve => { wake = resolve; });
+        }
+        return controller.status !== 'stopping';
+    };
+
+    // Cut short by a stop, so a long recorded wait doesn't hold the run hostage.
+    controller.sleep = (ms) => waitUntil(() => controller.status === 'stopping', ms);
+
+    controller.finish = ({ status, message }) => {
+        if (controller.status === 'finished') return;
+        controller.onChange = null; // The runner clears the saved run; don't write it back
+        controller.status = 'finished';
+        controller.result = { status: status, message: message };
+        publish();
+        if (activeReplay === controller) activeReplay = null;
+    };
+
+    if (controller.interactive) activeReplay = controller;
+    publish();
+    return controller;
+}
+
+// Persists the breakpoint on the saved step, so it applies to later runs too. `flowName` and
+// `stepIndex` name the saved step (a run step's `origin`), which may be in a called flow.
+async function handleToggleBreakpoint(flowName, stepIndex) {
+    await sessionRestored;
+    const savedFlows = await loadSavedFlows();
+    const step = (savedFlows[flowName] || [])[stepIndex];
+    if (!step) return;
+    if (step.breakpoint) delete step.breakpoint;
+    else step.breakpoint = true;
+    await chrome.storage.local.set({ flows: savedFlows });
+    if (!activeReplay) return;
+    // A flow called more than once appears at several places in the run.
+    activeReplay.steps.forEach(({ origin }, runIndex) => {
+        if (origin.flowName === flowName && origin.index === stepIndex) activeReplay.setBreakpoint(runIndex, !!step.breakpoint);
+    });
+}
+
+// Outlines (or stops outlining) a step's target in the page so it is clear what runs next.
+async function setStepHighlight(tabId, step, visible) {
+    if (!step.selector) return;
+    try {
+        const frameId = await resolveFrameId(tabId, step);
+        await chrome.tabs.sendMessage(tabId, { type: visible ? 'highlightStep' : 'clearHighlight', step: step }, { frameId: frameId });
+    } catch (error) {
+        log(`Could not update the highlight in the page: ${error.message}`);
+    }
+}
+
+// =================================================================================
+//                          SCHEDULING
+// =================================================================================
+
+// A schedule lives in chrome.storage.local next to the flows:
+//   { id, flowName, enabled, kind: 'daily' | 'interval', time: 'HH:MM', days: [0-6],
+//     intervalMinutes, lastRun: { startedAt, finishedAt, status, message } }
+// Each enabled schedule owns exactly one chrome.alarms alarm named by its id.
+const SCHEDULE_ALARM_PREFIX = 'schedule:';
+
+async function loadSchedules() {
+    const result = await chrome.storage.local.get('schedules');
+    return result.schedules || [];
+}
+
+async function saveSchedules(schedules) {
+    await chrome.storage.local.set({ schedules: schedules });
+    chrome.runtime.sendMessage({ type: 'schedulesUpdated' });
+}
+
+// Next time a 'daily' schedule should fire: the first matching weekday at `time` after `from`.
+function computeNextDailyRun(schedule, from = Date.now()) {
+    const [hours, minutes] = schedule.time.split(':').map(Number);
+    const candidate = new Date(from);
+    for (let i = 0; i < 8; i++) {
+        candidate.setHours(hours, minutes, 0, 0);
+        if (candidate.getTime() > from && schedule.days.includes(candidate.getDay())) {
+            return candidate.getTime();
+        }
+        candidate.setDate(candidate.getDate() + 1);
+    }
+    return null; // No weekday selected
+}
+
+async function createScheduleAlarm(schedule) {
+    const alarmName = SCHEDULE_ALARM_PREFIX + schedule.id;
+    await chrome.alarms.clear(alarmName);
+    if (!schedule.enabled) return;
+
+    if (schedule.kind === 'interval') {
+        chrome.alarms.create(alarmName, {
+            delayInMinutes: schedule.intervalMinutes,
+            periodInMinutes: schedule.intervalMinutes
+        });
+    } else {
+        // Daily alarms are one-shot and re-armed after each run, so DST changes can't make them drift.
+        const when = computeNextDailyRun(schedule);
+        if (when) chrome.alarms.create(alarmName, { when: when });
+    }
+}
+
+async function syncScheduleAlarms() {
+    const alarms = await chrome.alarms.getAll();
+    for (const alarm of alarms.filter(alarm => alarm.name.startsWith(SCHEDULE_ALARM_PREFIX))) {
+        await chrome.alarms.clear(alarm.name);
+    }
+    const schedules = await loadSchedules();
+    for (const schedule of schedules) {
+        await createScheduleAlarm(schedule);
+    }
+    log(`Schedule alarms synced (${schedules.length} schedules).`);
+}
+
+async function getSchedulesWithNextRun() {
+    const schedules = await loadSchedules();
+    const alarms = await chrome.alarms.getAll();
+    return schedules.map(schedule => {
+        const alarm = alarms.find(alarm => alarm.name === SCHEDULE_ALARM_PREFIX + schedule.id);
+        return { ...schedule, nextRunAt: alarm ? alarm.scheduledTime : null };
+    });
+}
+
+async function handleSaveSchedule(schedule) {
+    const schedules = await loadSchedules();
+    const saved = { enabled: true, ...schedule, id: schedule.id || crypto.randomUUID() };
+    const index = schedules.findIndex(existing => existing.id === saved.id);
+    if (index === -1) {
+        schedules.push(saved);
+    } else {
+        schedules[index] = { ...schedules[index], ...saved };
+    }
+    await createScheduleAlarm(saved);
+    await saveSchedules(schedules);
+    log(`Schedule saved for flow "${saved.flowName}"`, saved);
+}
+
+async function handleDeleteSchedule(scheduleId) {
+    const schedules = await loadSchedules();
+    await chrome.alarms.clear(SCHEDULE_ALARM_PREFIX + scheduleId);
+    await saveSchedules(schedules.filter(schedule => schedule.id !== scheduleId));
+}
+
+async function handleSetScheduleEnabled(scheduleId, enabled) {
+    const schedules = await loadSchedules();
+    const schedule = schedules.find(schedule => schedule.id === scheduleId);
+    if (!schedule) return;
+    schedule.enabled = enabled;
+    await createScheduleAlarm(schedule);
+    await saveSchedules(schedules);
+}
+
+async function handleScheduledRun(scheduleId) {
+    const schedule = (await loadSchedules()).find(schedule => schedule.id === scheduleId);
+    if (!schedule || !schedule.enabled) return;
+
+    log(`Schedule fired for flow "${schedule.flowName}".`);
+    // Re-arm first: the service worker may be stopped before the run is over.
+    if (schedule.kind !== 'interval') await createScheduleAlarm(schedule);
+    const startedAt = Date.now();
+    let result;
+    try {
+        result = await handleRunFlow(schedule.flowName, { silent: true, trigger: 'schedule' });
+    } catch (error) {
+        result = { status: 'error', message: error.message };
+    }
+
+    // Re-read: the user may have edited or deleted the schedule while the flow was running.
+    const schedules = await loadSchedules();
+    const current = schedules.find(schedule => schedule.id === scheduleId);
+    if (!current) return;
+    current.lastRun = { startedAt: startedAt, finishedAt: Date.now(), status: result.status, message: result.message || '' };
+    await saveSchedules(schedules);
+}
+
+// =================================================================================
+//                          EXTERNAL API
+// =================================================================================
+
+// Other extensions (chrome.runtime.sendMessage(extensionId, request)) and web pages can run
+// flows. Pages on localhost may message the extension directly, as the manifest's
+// externally_connectable allows; any other page posts to itself instead, and the content
+// script relays it:
+//   window.postMessage({ source: 'replicate-operator-request', id, request }, location.origin)
+//   -> window message { source: 'replicate-operator-response', id, response }
+// The manifest lets any extension and those pages send requests, but only callers on the
+// allowlist in the side panel's settings (`externalCallers`: extension ids and page origins
+// like https://dashboard.example.com) get an answer. Their runs use no stored secrets unless
+// the caller is also on `externalSecretCallers`. Requests:
+//   { type: 'listFlows' }
+//     -> { status: 'success', flows: [{ name, description, folder, tags, variables, lastRunAt, lastRunStatus }] }
+//   { type: 'runFlow', name, variables?, environment? (id or name), closeTabOnSuccess?, wait? }
+//     -> { status: 'started', runId }, or with `wait` the run's result once it is over
+//   { type: 'getRunStatus', runId }
+//     -> { status: 'running', runId, flowName, currentStep, totalSteps } or the run's result
+// A result is { status, runId, flowName, message, startedAt, finishedAt, steps }, where
+// `steps` holds each step's outcome in the order they ran. Failures are { status: 'error', message }.
+// External runs are silent: no alerts in the page and no replay controls in the side panel.
+
+// Flow names of the runs external callers started, by run id, until the run is over.
+const startingExternalRuns = new Map();
+
+// `callers` are the ways the sender can be named (extension id, origin). Requests relayed
+// from pages get no answer at all unless allowed, so pages can't probe for the extension.
+async function handleExternalRequest(request, callers, fromPage) {
+    const { externalCallers } = await loadSettings();
+    const caller = callers.find(candidate => candidate && externalCallers.includes(candidate));
+    if (!caller) {
+        log(`Refused an external "${request && request.type}" request from ${callers.filter(Boolean).join(' / ') || 'an unknown sender'}.`);
+        return fromPage ? undefined : { status: 'error', message: 'This caller is not allowed; add it in the Replicate Operator side panel.' };
+    }
+    log(`External "${request.type}" request from ${caller}.`);
+    try {
+        switch (request.type) {
+            case 'listFlows': return await listExternalFlows();
+            case 'runFlow': return await startExternalRun(request, caller);
+            case 'getRunStatus': return await getExternalRunStatus(request.runId);
+            default: return { status: 'error', message: `Unknown request type "${request.type}".` };
+        }
+    } catch (error) {
+        return { status: 'error', message: error.message };
+    }
+}
+
+async function listExternalFlows() {
+    const [savedFlows, allMeta] = await Promise.all([loadSavedFlows(), loadFlowMeta()]);
+    const flows = Object.keys(savedFlows).sort((a, b) => a.localeCompare(b)).map(name => {
+        const meta = allMeta[name] || {};
+        return {
+            name: name,
+            description: meta.description || '',
+            folder: meta.folder || '',
+            tags: meta.tags || [],
+            // Defaults, which a run's `variables` override; null marks one without a default.
+            variables: Object.fromEntries(findVariableNames(savedFlows[name], savedFlows).map(variable => [variable, (meta.variables || {})[variable] ?? null])),
+            lastRunAt: meta.lastRunAt || null,
+            lastRunStatus: meta.lastRunStatus || null
+        };
+    });
+    return { status: 'success', flows: flows };
+}
+
+// Extracted values are not inputs, so they are left out.
+function findVariableNames(steps, savedFlows) {
+    const names = new Set();
+    steps.forEach(step => [...VARIABLE_FIELDS.map(field => step[field]), ...Object.values(step.bindings || {})].forEach(value => {
+        if (typeof value !== 'string') return;
+        for (const match of value.matchAll(VARIABLE_PATTERN)) names.add(match[1]);
+    }));
+    findExtractedNames(steps, savedFlows).forEach(name => names.delete(name));
+    return [...names];
+}
+
+async function startExternalRun(request, caller) {
+    if (!(await loadSavedFlows())[request.name]) return { status: 'error', message: `There is no flow named "${request.name}".` };
+    let environment;
+    if (request.environment) {
+        const found = (await loadEnvironments()).find(candidate => candidate.id === request.environment || candidate.name === request.environment);
+        if (!found) return { status: 'error', message: `There is no environment "${request.environment}".` };
+        environment = found.id;
+    }
+
+    const { externalSecretCallers } = await loadSettings();
+    const runId = crypto.randomUUID();
+    startingExternalRuns.set(runId, request.name);
+    const finished = handleRunFlow(request.name, {
+        silent: true,
+        trigger: `external (${caller})`,
+        variables: request.variables,
+        environment: environment,
+        closeTabOnSuccess: !!request.closeTabOnSuccess,
+        storedSecrets: externalSecretCallers.includes(caller),
+        runId: runId
+    }).catch(error => log(`External run ${runId} failed: ${error.message}`)).finally(() => startingExternalRuns.delete(runId));
+    if (!request.wait) return { status: 'started', runId: runId };
+    await finished;
+    return getExternalRunStatus(runId);
+}
+
+async function getExternalRunStatus(runId) {
+    const stored = await chrome.storage.local.get(RUN_KEY_PREFIX + runId);
+    const report = stored[RUN_KEY_PREFIX + runId];
+    if (report) return describeRunResult(report);
+
+    const active = (await chrome.storage.session.get(ACTIVE_RUN_PREFIX + runId))[ACTIVE_RUN_PREFIX + runId];
+    if (active || startingExternalRuns.has(runId)) {
+        return {
+            status: 'running',
+            runId: runId,
+            flowName: active ? active.flowName : startingExternalRuns.get(runId),
+            currentStep: active ? active.nextStepIndex : 0,
+            totalSteps: active ? active.steps.length : null
+        };
+    }
+    return { status: 'error', message: `There is no run "${runId}"; it may have been cleared from the run history.` };
+}
+
+// Screenshots stay in the run history; they would make every answer megabytes large.
+// `data` holds what the run's extract steps stored.
+function describeRunResult(report) {
+    return {
+        status: report.status,
+        runId: report.id,
+        flowName: report.flowName,
+        message: report.message,
+        startedAt: report.startedAt,
+        finishedAt: report.finishedAt,
+        data: report.data || {},
+        steps: report.steps.map(stepReport => ({
+            index: stepReport.index,
+            type: stepReport.step.type,
+            // The flow the step belongs to, which differs from `flowName` inside called flows.
+            flowName: stepReport.step.origin ? stepReport.step.origin.flowName : report.flowName,
+            status: stepReport.status,
+            duration: stepReport.duration,
+            note: stepReport.note || '',
+            error: stepReport.error || ''
+        }))
+    };
+}
+
+// =================================================================================
+//                          REPLAY HELPERS
+// =================================================================================
+
+const NAVIGATION_TIMEOUT = 15000;
+// How replay paces itself between steps. A flow can override these in its meta and a step
+// can override the flow with `timingMode`, `timeout` and `delay`. The modes:
+//   stable   - skip recorded waits; wait for network and DOM quiet
+//   fixed    - skip recorded waits; sleep `delay` ms after every step
+//   recorded - replay the recorded waits as they were
+// In every mode a step waits for its target to be actionable (see waitForActionable in
+// replay_script.js). `timeout` bounds how long a step looks for its element and waits for it
+// to be ready (or retries its assertion).
+const DEFAULT_TIMING = { mode: 'stable', timeout: 7000, delay: 500 };
+// Requests open longer than this are long polls or streams, which never go idle.
+const LONG_REQUEST_THRESHOLD = 5000;
+// Transitions that happen as a consequence of the previous step rather than being driven by replay.
+const EXPECTED_TRANSITIONS = ['link', 'form_submit', 'manual_subframe'];
+
+// --- Control Flow ---
+// Blocks are flat in the step list, so step indexes (breakpoints, reports, jumps) stay put:
+//   if <condition> ... [else ...] end
+//   repeat (count | while <condition>) ... end
+// A 'callFlow' step only marks where the called flow's steps begin (see expandFlowCalls).
+// Conditions are assertions (`assertion`, `selector`, `expected`...) that may fail, and
+// `negate` flips them. Any step can set `retries` and an `onError` policy: 'skip', or
+// 'goto' step number `onErrorStep`; the default stops the run.
+const CONTROL_STEP_TYPES = ['if', 'else', 'repeat', 'end', 'callFlow'];
+// How long a condition waits for its element to turn up, unless the step sets a `timeout`.
+const CONDITION_TIMEOUT = 1000;
+// A 'repeat while' without `maxIterations` fails after this many, rather than looping forever.
+const DEFAULT_MAX_ITERATIONS = 100;
+const MAX_ERROR_JUMPS = 20;
+const RETRY_DELAY = 1000;
+
+// Pairs up the control steps. Returns one shared { start, else, end, loop } per block,
+// keyed by the index of each of its control steps. Throws on unbalanced blocks.
+function matchControlBlocks(steps) {
+    const blocks = {};
+    const open = [];
+    steps.forEach((step, index) => {
+        if (step.type === 'if' || step.type === 'repeat') {
+            blocks[index] = { start: index, loop: step.type === 'repeat' };
+            open.push(index);
+        } else if (step.type === 'else') {
+            const start = open[open.length - 1];
+            if (start === undefined || steps[start].type !== 'if' || blocks[start].else !== undefined) {
+                throw new Error(`Step ${index + 1}: "else" without a matching "if".`);
+            }
+            blocks[start].else = index;
+            blocks[index] = blocks[start];
+        } else if (step.type === 'end') {
+            const start = open.pop();
+            if (start === undefined) throw new Error(`Step ${index + 1}: "end" without a matching "if" or "repeat".`);
+            blocks[start].end = index;
+            blocks[index] = blocks[start];
+        }
+    });
+    if (open.length > 0) {
+        const start = open.pop();
+        throw new Error(`Step ${start + 1}: "${steps[start].type}" has no matching "end".`);
+    }
+    return blocks;
+}
+
+// Asks the step's frame whether its condition holds (see evaluateCondition in replay_script.js).
+async function evaluateStepCondition(run, step, timing, tabs) {
+    const stepTab = await tabs.get(step.tabRef, timing.timeout);
+    await waitForPageSettled(stepTab.tracker);
+    const conditionTiming = { ...timing, timeout: step.timeout || CONDITION_TIMEOUT };
+    const result = await sendRunStep(run, stepTab, step, { timing: conditionTiming, highlight: false });
+    return result.conditionMet;
+}
+
+// Secrets are filled in on the way to the page, and masked in whatever error comes back.
+async function sendRunStep(run, stepTab, step, options) {
+    try {
+        return await sendStepToFrame(stepTab.id, revealSecrets(step, run.secrets), stepTab.tracker, options);
+    } catch (error) {
+        error.message = maskSecrets(error.message, run.secrets);
+        throw error;
+    }
+}
+
+// Polls a predicate until it is truthy or the timeout elapses. Resolves to whether it became truthy.
+function waitUntil(predicate, timeout, interval = 100) {
+    return new Promise(resolve => {
+        const startTime = Date.now();
+        const check = () => {
+            if (predicate()) return resolve(true);
+            if (Date.now() - startTime > timeout) return resolve(false);
+            setTimeout(check, interval);
+        };
+        check();
+    });
+}
+
+// Resolves once the tab finishes loading. `startNavigation` runs after the listener is in
+// place, so a load that completes quickly can't slip past it. Without one the tab is already
+// loading, and may have finished before the listener was added.
+function waitForTabComplete(tabId, timeout, startNavigation) {
+    return new Promise((resolve, reject) => {
+        let timer;
+        const finish = (error) => {
+            clearTimeout(timer);
+            chrome.tabs.onUpdated.removeListener(listener);
+            if (error) reject(error);
+            else resolve();
+        };
+        const listener = (updatedTabId, info) => {
+            if (updatedTabId === tabId && info.status === 'complete') finish();
+        };
+        chrome.tabs.onUpdated.addListener(listener);
+        timer = setTimeout(() => finish(new Error(`Page did not finish loading within ${timeout}ms.`)), timeout);
+        if (startNavigation) {
+            Promise.resolve().then(startNavigation).catch(finish);
+        } else {
+            chrome.tabs.get(tabId).then(tab => {
+                if (tab.status === 'complete') finish();
+            }, finish);
+        }
+    });
+}
+
+// True when going from one URL to the other only moves to a different #fragment.
+function isFragmentChange(fromUrl, toUrl) {
+    if (!fromUrl || !toUrl.includes('#')) return false;
+    try {
+        const from = new URL(fromUrl);
+        const to = new URL(toUrl);
+        from.hash = '';
+        to.hash = '';
+        return from.href === to.href;
+    } catch {
+        return false;
+    }
+}
+
+function injectReplayScript(tabId, frameIds) {
+    const target = frameIds ? { tabId, frameIds } : { tabId, allFrames: true };
+    return chrome.scripting.executeScript({ target, files: ['locators.js', 'replay_script.js'] });
+}
+
+function resolveStepTiming(step, flowTiming) {
+    return {
+        mode: step.timingMode || flowTiming.mode,
+        timeout: step.timeout || flowTiming.timeout,
+        delay: step.delay ?? flowTiming.delay
+    };
+}
+
+// Every navigation gives a frame a fresh document without our replay listener.
+// The tracker watches the replay tab, re-injects the replay script whenever a frame
+// finishes loading, and keeps a log of committed navigations for 'navigate' steps.
+// It also tracks the tab's in-flight fetch/XHR requests for stability waits.
+function createNavigationTracker(tabId) {
+    const tracker = {
+        pendingFrames: new Set(),
+        pendingRequests: new Map(),
+        commits: [],
+        cursor: 0
+    };
+
+    const onBeforeNavigate = (details) => {
+        if (details.tabId !== tabId) return;
+        tracker.pendingFrames.add(details.frameId);
+    };
+    const onCommitted = (details) => {
+        if (details.tabId !== tabId) return;
+        // A new top-level document takes all the old sub-frames with it.
+        if (details.frameId === 0) tracker.pendingFrames.clear();
+        tracker.pendingFrames.add(details.frameId);
+        tracker.commits.push({ frameId: details.frameId, url: details.url });
+        log(`Navigation committed in frame ${details.frameId}: ${details.url}`);
+    };
+    const onCompleted = async (details) => {
+        if (details.tabId !== tabId) return;
+        try {
+            await injectReplayScript(tabId, [details.frameId]);
+            log(`Replay script re-injected into frame ${details.frameId}.`);
+        } catch (error) {
+            log(`Could not inject replay script into frame ${details.frameId}: ${error.message}`);
+        }
+        tracker.pendingFrames.delete(details.frameId);
+    };
+    const onErrorOccurred = (details) => {
+        if (details.tabId !== tabId) return;
+        tracker.pendingFrames.delete(details.frameId);
+    };
+
+    const onRequestStarted = (details) => tracker.pendingRequests.set(details.requestId, details.timeStamp);
+    const onRequestFinished = (details) => tracker.pendingRequests.delete(details.requestId);
+    const requestFilter = { urls: ['<all_urls>'], tabId: tabId, types: ['xmlhttprequest'] };
+
+    chrome.webNavigation.onBeforeNavigate.addListener(onBeforeNavigate);
+    chrome.webNavigation.onCommitted.addListener(onCommitted);
+    chrome.webNavigation.onCompleted.addListener(onCompleted);
+    chrome.webNavigation.onErrorOccurred.addListener(onErrorOccurred);
+    chrome.webRequest.onBeforeRequest.addListener(onRequestStarted, requestFilter);
+    chrome.webRequest.onCompleted.addListener(onRequestFinished, requestFilter);
+    chrome.webRequest.onErrorOccurred.addListener(onRequestFinished, requestFilter);
+
+    // Consumes the first unseen commit matching the predicate, so each 'navigate' step maps to one page load.
+    tracker.takeCommit = (predicate) => {
+        const index = tracker.commits.findIndex((commit, i) => i >= tracker.cursor && predicate(commit));
+        if (index === -1) return false;
+        tracker.cursor = index + 1;
+        return true;
+    };
+    tracker.skipCommits = () => { tracker.cursor = tracker.commits.length; };
+    tracker.stop = () => {
+        chrome.webNavigation.onBeforeNavigate.removeListener(onBeforeNavigate);
+        chrome.webNavigation.onCommitted.removeListener(onCommitted);
+        chrome.webNavigation.onCompleted.removeListener(onCompleted);
+        chrome.webNavigation.onErrorOccurred.removeListener(onErrorOccurred);
+        chrome.webRequest.onBeforeRequest.removeListener(onRequestStarted);
+        chrome.webRequest.onCompleted.removeListener(onRequestFinished);
+        chrome.webRequest.onErrorOccurred.removeListener(onRequestFinished);
+    };
+    return tracker;
+}
+
+// --- Run Tabs ---
+// Replay numbers the tabs a run opens the way recording did (see recordingTabRefs): each
+// tab opened from one of the run's tabs gets the next tabRef. `run.tabs` keeps them as
+// { id, windowId } by tabRef, so a resumed run still knows them; each gets its own tracker.
+const CLOSE_TAB_GRACE = 2000;
+
+function createRunTabs(run, mainTracker) {
+    const trackers = new Map([[run.tab.id, mainTracker]]);
+    const closed = new Set();
+    const refOf = tabId => Object.keys(run.tabs).map(Number).find(ref => run.tabs[ref].id === tabId);
+    // A resumed run gets the tabs it opened before the restart back.
+    Object.entries(run.tabs).filter(([ref]) => Number(ref) !== 0).forEach(([ref, tab]) => {
+        trackers.set(tab.id, createNavigationTracker(tab.id));
+        injectReplayScript(tab.id).catch(() => closed.add(Number(ref)));
+    });
+
+    const onCreated = (tab) => {
+        if (tab.openerTabId === undefined || refOf(tab.openerTabId) === undefined) return;
+        const ref = Object.keys(run.tabs).length;
+        run.tabs[ref] = { id: tab.id, windowId: tab.windowId };
+        trackers.set(tab.id, createNavigationTracker(tab.id));
+        log(`Tab ${tab.id} opened by the flow, replaying it as tab ${ref}.`);
+    };
+    const onRemoved = (tabId) => {
+        const ref = refOf(tabId);
+        if (ref === undefined) return;
+        closed.add(ref);
+        trackers.get(tabId).stop();
+    };
+    chrome.tabs.onCreated.addListener(onCreated);
+    chrome.tabs.onRemoved.addListener(onRemoved);
+
+    const describe = ref => ({ ...run.tabs[ref], tracker: trackers.get(run.tabs[ref].id) });
+    return {
+        // Waits for the tab to open, since steps usually run right after the click that opens it.
+        async get(ref = 0, timeout = NAVIGATION_TIMEOUT) {
+            if (!await waitUntil(() => run.tabs[ref] !== undefined, timeout)) throw new Error(`Tab ${ref} did not open within ${timeout}ms.`);
+            if (closed.has(ref)) throw new Error(`Tab ${ref} is already closed.`);
+            return describe(ref);
+        },
+        peek: (ref = 0) => run.tabs[ref] !== undefined && !closed.has(ref) ? describe(ref) : null,
+        isClosed: ref => closed.has(ref),
+        openTabs: () => Object.keys(run.tabs).map(Number).filter(ref => !closed.has(ref)).map(ref => run.tabs[ref]),
+        stop() {
+            chrome.tabs.onCreated.removeListener(onCreated);
+            chrome.tabs.onRemoved.removeListener(onRemoved);
+            trackers.forEach(tracker => tracker.stop());
+        }
+    };
+}
+
+async function waitForPageSettled(tracker) {
+    const settled = await waitUntil(() => tracker.pendingFrames.size === 0, NAVIGATION_TIMEOUT);
+    if (!settled) {
+        // A stuck ad or widget frame should not kill the whole flow.
+        log(`Frames still loading after ${NAVIGATION_TIMEOUT}ms, continuing anyway:`, [...tracker.pendingFrames]);
+        tracker.pendingFrames.clear();
+    }
+}
+
+async function waitForNetworkIdle(tracker, timeout) {
+    const isIdle = () => {
+        const now = Date.now();
+        return [...tracker.pendingRequests.values()].every(startedAt => now - startedAt > LONG_REQUEST_THRESHOLD);
+    };
+    const idle = await waitUntil(isIdle, timeout);
+    if (!idle) log(`Requests still pending after ${timeout}ms, continuing anyway.`);
+}
+
+// Paces replay after a step according to its timing mode. Any page load the step
+// kicked off is always allowed to finish first.
+async function waitAfterStep(tracker, timing) {
+    await waitForPageSettled(tracker);
+    if (timing.mode === 'fixed') {
+        log(`Waiting ${timing.delay}ms before the next step...`);
+        await new Promise(resolve => setTimeout(resolve, timing.delay));
+    } else if (timing.mode === 'stable') {
+        // DOM quiet and element actionability are checked by the replay script before the next step.
+        await waitForNetworkIdle(tracker, timing.timeout);
+        await waitForPageSettled(tracker);
+    }
+}
+
+async function resolveFrameId(tabId, step) {
+    if (!step.frameId) return 0;
+    if (!step.frameUrl) return step.frameId;
+    const frames = await chrome.webNavigation.getAllFrames({ tabId }) || [];
+    const exact = frames.find(frame => frame.frameId !== 0 && frame.url === step.frameUrl);
+    if (exact) return exact.frameId;
+    const stripQuery = url => url.split(/[?#]/)[0];
+    const loose = frames.find(frame => frame.frameId !== 0 && stripQuery(frame.url) === stripQuery(step.frameUrl));
+    return loose ? loose.frameId : step.frameId;
+}
+
+// `details` rides along with the step: its resolved `timing`, and whether to `highlight` the target.
+async function sendStepToFrame(tabId, step, tracker, details) {
+    const frameId = await resolveFrameId(tabId, step);
+    const commitsBefore = tracker.commits.length;
+    let response;
+    try {
+        response = await chrome.tabs.sendMessage(tabId, { type: 'executeSingleStep', step: step, ...details }, { frameId: frameId });
+    } catch (error) {
+        // A step that submits a form or follows a link can tear down its document before it answers.
+        if (tracker.commits.length > commitsBefore || tracker.pendingFrames.size > 0) {
+            log(`Frame ${frameId} navigated away while executing the step, treating it as done.`);
+            return { frameId: frameId };
+        }
+        throw error;
+    }
+    if (response && response.status === 'error') {
+        throw new Error(response.message); // Stop the loop on error from script
+    }
+    return { ...(response && response.result), frameId: frameId };
+}
+
+async function replayNavigateStep(tabId, step, tracker) {
+    const isSubFrame = step.frameId !== 0;
+    const isExpected = EXPECTED_TRANSITIONS.includes(step.transition) || (step.qualifiers || []).includes('client_redirect');
+    const matchesFrame = commit => isSubFrame ? commit.frameId !== 0 : commit.frameId === 0;
+
+    // Typed URLs, bookmarks and reloads were driven by the user, so replay has to drive them too.
+    if (!isExpected && !isSubFrame) {
+        if (step.transition === 'reload') {
+            await chrome.tabs.reload(tabId);
+        } else {
+            await chrome.tabs.update(tabId, { url: step.url });
+        }
+    }
+
+    let committed = await waitUntil(() => tracker.takeCommit(matchesFrame), NAVIGATION_TIMEOUT);
+    if (!committed && isExpected && !isSubFrame) {
+        log(`Expected navigation to ${step.url} did not happen, navigating directly.`);
+        await chrome.tabs.update(tabId, { url: step.url });
+        committed = await waitUntil(() => tracker.takeCommit(matchesFrame), NAVIGATION_TIMEOUT);
+    }
+    if (!committed) {
+        throw new Error(`Navigation to ${step.url} did not happen within ${NAVIGATION_TIMEOUT}ms.`);
+    }
+
+    await waitForPageSettled(tracker);
+    log(`Page changed to ${step.url}, continuing.`);
+}
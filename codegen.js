@@ -0,0 +1,449 @@
+// =================================================================================
+// Replicate Operator - codegen.js (Flow to Puppeteer / Playwright Script Generator)
+// =================================================================================
+//
+// Loaded by the side panel before sidepanel.js. Turns a saved flow into a standalone
+// test script so a recorded flow can run in CI without the extension.
+
+// Transitions that follow from the previous step (see EXPECTED_TRANSITIONS in background.js).
+const CODEGEN_EXPECTED_TRANSITIONS = ['link', 'form_submit', 'manual_subframe'];
+
+// JSON string literals are valid JS string literals, escaping included.
+const toJsString = value => JSON.stringify(String(value));
+
+// Scripts read secrets from the environment: {{secret:card-number}} becomes SECRET_CARD_NUMBER.
+const CODEGEN_SECRET_PATTERN = /\{\{\s*secret:([\w.-]+)\s*\}\}/;
+
+function toJsValue(value) {
+    const parts = String(value).split(CODEGEN_SECRET_PATTERN);
+    if (parts.length === 1) return toJsString(value);
+    return parts
+        .map((part, i) => i % 2 === 1 ? `process.env.SECRET_${part.toUpperCase().replace(/\W/g, '_')}` : part && toJsString(part))
+        .filter(Boolean)
+        .join(' + ');
+}
+
+function isExpectedNavigation(step) {
+    return CODEGEN_EXPECTED_TRANSITIONS.includes(step.transition) || (step.qualifiers || []).includes('client_redirect');
+}
+
+function getPrimaryLocator(step) {
+    return step.locators && step.locators.length > 0 ? step.locators[0] : { strategy: 'css', value: step.selector };
+}
+
+function getDropStep(step) {
+    return { ...step, selector: step.dropSelector, locators: step.dropLocators };
+}
+
+// Recorded uploads only keep file names; the script needs real files at those paths.
+function uploadPaths(step) {
+    return `[${(step.files || []).map(file => toJsString(file.name)).join(', ')}] /* placeholder files: put them next to this script */`;
+}
+
+// --- Control Flow ---
+// Conditions reuse the assertion code, run through passes(). Both scripts define these helpers.
+const CODEGEN_HELPERS = `const passes = async check => { try { await check(); return true; } catch (error) { return false; } };
+const attempt = async (action, retries, skip) => {
+    for (let i = 0; ; i++) {
+        try { return await action(); } catch (error) { if (i < retries) continue; if (skip) return; throw error; }
+    }
+};`;
+
+function controlStep(step, assertionCode) {
+    const condition = () => `${step.negate ? '!' : ''}(await passes(async () => { ${assertionCode} }))`;
+    switch (step.type) {
+        case 'if': return `if (${condition()}) {`;
+        case 'else': return '} else {';
+        case 'end': return '}';
+        case 'repeat':
+            if (step.loop === 'while') return `for (let i = 0; i < ${Number(step.maxIterations) || 100} && ${condition()}; i++) {`;
+            return `for (let i = 0; i < ${Number(step.count)}; i++) {`;
+    }
+}
+
+// --- Frames ---
+// Sub-frame steps find their frame by the URL it had when recorded, in the current tab.
+// A frame that never turns up fails the step rather than running it in the wrong frame.
+const CODEGEN_FRAME_HELPER = `const frameByUrl = async url => {
+    for (let waited = 0; ; waited += 100) {
+        const frame = page.frames().find(candidate => candidate.url() === url);
+        if (frame) return frame;
+        if (waited >= 15000) throw new Error(\`No frame at \${url}.\`);
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+};`;
+
+function frameExpression(step) {
+    return step.frameId && step.frameUrl ? `(await frameByUrl(${toJsString(step.frameUrl)}))` : 'page';
+}
+
+// --- Tabs ---
+// Tabs the flow opens are numbered like the extension's tabRef, the first tab being 0.
+// `page` is the tab the flow is in; both scripts keep the opened tabs in `tabs`.
+const CODEGEN_TAB_HELPER = `const tabAt = async index => {
+    for (let waited = 0; !tabs[index]; waited += 100) {
+        if (waited >= 15000) throw new Error(\`Tab \${index} did not open.\`);
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    return tabs[index];
+};`;
+
+function tabStep(step) {
+    const tab = `await tabAt(${Number(step.tabRef) || 0})`;
+    if (step.type === 'switchTab') return `page = ${tab};\nawait page.bringToFront();`;
+    return `{\n    const tab = ${tab};\n    if (!tab.isClosed()) await tab.close();\n}`;
+}
+
+// --- Sub-flows ---
+// Called flows are inlined the way runs expand them (see expandFlowCalls in background.js):
+// the call's bindings are written into the called steps, its goto loads its URL in the
+// caller's tab unless the call skips it, and the tabs it opens are numbered after the caller's.
+const CODEGEN_VARIABLE_FIELDS = ['url', 'value', 'expected'];
+
+function inlineFlowCalls(steps, flows, stack, expanded = []) {
+    steps.forEach(step => {
+        const flowSteps = step.type === 'callFlow' && !stack.includes(step.flowName) && flows[step.flowName];
+        // An empty flow has no goto to open with, so it's left out like a missing one.
+        const called = flowSteps && flowSteps.length > 0 && flowSteps;
+        expanded.push(called ? { ...step, inlined: true } : step);
+        if (!called) return;
+        const tabOffset = Math.max(0, ...expanded.map(expandedStep => expandedStep.tabRef || 0));
+        const calledSteps = called.map(calledStep => {
+            const bound = { ...calledStep };
+            CODEGEN_VARIABLE_FIELDS.filter(field => typeof bound[field] === 'string').forEach(field => {
+                bound[field] = bound[field].replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, name) => (step.bindings || {})[name] ?? match);
+            });
+            if (!['wait', 'else', 'end'].includes(bound.type)) bound.tabRef = bound.tabRef ? bound.tabRef + tabOffset : step.tabRef;
+            return bound;
+        });
+        // Its opening goto loads the page in the caller's tab; any other first step is kept as is.
+        const opensWithGoto = calledSteps[0].type === 'goto';
+        if (opensWithGoto) calledSteps[0] = { type: 'navigate', url: calledSteps[0].url, transition: 'typed', tabRef: step.tabRef };
+        inlineFlowCalls(step.skipGoto && opensWithGoto ? calledSteps.slice(1) : calledSteps, flows, [...stack, step.flowName], expanded);
+    });
+    return expanded;
+}
+
+function callFlowComment(step) {
+    if (step.inlined) return `// Flow ${toJsString(step.flowName)}:`;
+    return `// Calls flow ${toJsString(step.flowName)}, which is missing, empty or already running; its steps are left out.`;
+}
+
+// --- Data Extraction ---
+// Extract steps read the page the way replay_script.js does and store into `data`, which the
+// script prints at the end. Later steps get their {{variable}} references as written.
+const CODEGEN_EXTRACT_HELPER = `const data = {};
+const extractFromElement = (element, step) => {
+    const text = el => (el.innerText ?? el.textContent ?? '').replace(/\\s+/g, ' ').trim();
+    const read = (el, attribute) => {
+        if (!attribute) return text(el);
+        return ['href', 'src', 'value'].includes(attribute) && typeof el[attribute] === 'string' ? el[attribute] : el.getAttribute(attribute);
+    };
+    const all = () => Array.from(element.ownerDocument.querySelectorAll(step.selector));
+    switch (step.extract) {
+        case 'text': return text(element);
+        case 'attribute': return read(element, step.attribute);
+        case 'all': return all().map(el => read(el, step.attribute));
+        case 'table': {
+            const table = element.closest('table');
+            const rows = Array.from(table.rows);
+            const headerRow = table.tHead && table.tHead.rows.length > 0
+                ? table.tHead.rows[table.tHead.rows.length - 1]
+                : rows.find(row => row.cells.length > 0 && Array.from(row.cells).every(cell => cell.tagName === 'TH'));
+            const headers = headerRow ? Array.from(headerRow.cells).map(text) : [];
+            return rows
+                .filter(row => row !== headerRow && !(table.tHead && table.tHead.contains(row)) && row.cells.length > 0)
+                .map(row => Object.fromEntries(Array.from(row.cells).map((cell, i) => [headers[i] || \`column \${i + 1}\`, text(cell)])));
+        }
+        case 'cards': return all().map(card => Object.fromEntries(Object.entries(step.fields || {}).map(([name, spec]) => {
+            const [, selector, attribute] = String(spec).match(/^(.*?)(?:@([\\w:-]+))?$/);
+            const el = selector.trim() ? card.querySelector(selector) : card;
+            return [name, el ? read(el, attribute) : null];
+        })));
+    }
+};
+const store = (name, value, accumulate) => {
+    data[name] = accumulate ? [...[].concat(data[name] ?? []), ...[].concat(value)] : value;
+};`;
+
+function extractStep(step, elementCode) {
+    const { extract, selector, attribute, fields } = step;
+    const args = JSON.stringify({ extract, selector, attribute, fields });
+    return `store(${toJsString(step.variable)}, await ${elementCode}.evaluate(extractFromElement, ${args}), ${Boolean(step.accumulate)});`;
+}
+
+function hasExtractSteps(steps) {
+    return steps.some(step => step.type === 'extract');
+}
+
+// Indents blocks and wraps steps that retry or skip on error. Jumps have no equivalent.
+// Steps recorded in another tab move `page` there first, following the flow's order.
+function generateScriptBody(steps, translateStep) {
+    let depth = 0;
+    let tabRef = 0;
+    return steps.slice(1).map(step => {
+        if (step.type === 'else' || step.type === 'end') depth = Math.max(depth - 1, 0);
+        let code = step.type === 'callFlow' ? callFlowComment(step) : translateStep(step);
+        if (step.type === 'switchTab') {
+            tabRef = Number(step.tabRef) || 0;
+        } else if (step.type !== 'closeTab' && (step.tabRef || 0) !== tabRef) {
+            tabRef = step.tabRef || 0;
+            code = `page = await tabAt(${Number(tabRef)});\n${code}`;
+        }
+        if (step.type !== 'if' && step.type !== 'repeat' && (step.retries || step.onError === 'skip')) {
+            code = `await attempt(async () => {\n${code.replace(/^/gm, '    ')}\n}, ${Number(step.retries) || 0}, ${step.onError === 'skip'});`;
+        }
+        if (step.onError === 'goto') code = `// On error the flow jumps to step ${step.onErrorStep}, which scripts can't do.\n${code}`;
+        code = code.replace(/^/gm, '    '.repeat(depth));
+        if (['if', 'else', 'repeat'].includes(step.type)) depth++;
+        return code;
+    });
+}
+
+function formatKeyForScript(step) {
+    const modifiers = step.modifiers || {};
+    return [
+        modifiers.ctrl && 'Control',
+        modifiers.alt && 'Alt',
+        modifiers.shift && 'Shift',
+        modifiers.meta && 'Meta',
+        step.key
+    ].filter(Boolean);
+}
+
+// --- Puppeteer ---
+
+function puppeteerSelector(step) {
+    const locator = getPrimaryLocator(step);
+    switch (locator.strategy) {
+        case 'aria': return `::-p-aria(${JSON.stringify(`${locator.value.name}[role="${locator.value.role}"]`)})`;
+        case 'text': return `::-p-text(${JSON.stringify(locator.value.text)})`;
+        case 'xpath': return `::-p-xpath(${JSON.stringify(locator.value)})`;
+        default: return step.selector;
+    }
+}
+
+function puppeteerStep(step) {
+    const frame = frameExpression(step);
+    const selector = toJsString(puppeteerSelector(step));
+    const locator = `${frame}.locator(${selector})`;
+    switch (step.type) {
+        case 'switchTab':
+        case 'closeTab':
+            return tabStep(step);
+        case 'navigate':
+            if (isExpectedNavigation(step)) {
+                return `await page.waitForFunction(url => location.href === url, { timeout: 15000 }, ${toJsString(step.url)});`;
+            }
+            return step.transition === 'reload' ? 'await page.reload();' : `await page.goto(${toJsString(step.url)});`;
+        case 'wait':
+            return `await sleep(${Number(step.duration)});`;
+        case 'click':
+            if (step.clickMode === 'coordinates' && step.position) {
+                return `await ${locator}.click({ offset: { x: ${step.position.offsetX}, y: ${step.position.offsetY} } });`;
+            }
+            return `await ${locator}.click();`;
+        case 'change':
+            if (step.typingDelay) {
+                return `await ${locator}.fill('');\nawait (await ${frame}.waitForSelector(${selector})).type(${toJsValue(step.value)}, { delay: ${Number(step.typingDelay)} });`;
+            }
+            return `await ${locator}.fill(${toJsValue(step.value)});`;
+        case 'assert':
+            return puppeteerAssertion(step, frame, selector);
+        case 'if':
+        case 'else':
+        case 'repeat':
+        case 'end':
+            return controlStep(step, puppeteerAssertion(step, frame, selector));
+        case 'select':
+            return `await ${frame}.select(${toJsString(step.selector)}, ${[].concat(step.value ?? []).map(toJsString).join(', ')});`;
+        case 'check':
+            return `await ${frame}.$eval(${toJsString(step.selector)}, (el, checked) => { if (el.checked !== checked) el.click(); }, ${Boolean(step.checked)});`;
+        case 'upload':
+            return `await (await ${frame}.waitForSelector(${selector})).uploadFile(...${uploadPaths(step)});`;
+        case 'hover':
+            return `await ${locator}.hover();`;
+        case 'scroll':
+            if (!step.selector) return `await page.evaluate(() => window.scrollTo(${Number(step.x)}, ${Number(step.y)}));`;
+            return `await ${locator}.scroll({ scrollLeft: ${Number(step.x)}, scrollTop: ${Number(step.y)} });`;
+        case 'extract':
+            return extractStep(step, `(await ${frame}.waitForSelector(${selector}))`);
+        case 'dragdrop':
+            return `await (await ${frame}.waitForSelector(${selector})).dragAndDrop(await ${frame}.waitForSelector(${toJsString(puppeteerSelector(getDropStep(step)))}));`;
+        case 'keypress': {
+            const keys = formatKeyForScript(step);
+            const key = keys.pop();
+            return [
+                `await (await ${frame}.waitForSelector(${selector})).focus();`,
+                ...keys.map(modifier => `await page.keyboard.down(${toJsString(modifier)});`),
+                `await page.keyboard.press(${toJsString(key)});`,
+                ...keys.reverse().map(modifier => `await page.keyboard.up(${toJsString(modifier)});`)
+            ].join('\n');
+        }
+        default:
+            return `// Unsupported step type "${step.type}": ${JSON.stringify(step)}`;
+    }
+}
+
+function puppeteerAssertion(step, frame, selector) {
+    const expected = toJsValue(step.expected);
+    const element = `(await ${frame}.waitForSelector(${selector}, { timeout: 5000 }))`;
+    const text = `await ${element}.evaluate(el => el.innerText.replace(/\\s+/g, ' ').trim())`;
+    switch (step.assertion) {
+        case 'exists': return `await ${frame}.waitForSelector(${selector}, { timeout: 5000 });`;
+        case 'absent': return `await ${frame}.waitForSelector(${selector}, { hidden: true, timeout: 5000 });`;
+        case 'visible': return `await ${frame}.waitForSelector(${selector}, { visible: true, timeout: 5000 });`;
+        case 'textEquals': return `assert.strictEqual(${text}, ${expected});`;
+        case 'textContains': return `assert.ok((${text}).includes(${expected}));`;
+        case 'textMatches': return `assert.match(${text}, new RegExp(${expected}));`;
+        case 'attributeEquals': return `assert.strictEqual(await ${element}.evaluate(el => el.getAttribute(${toJsString(step.attribute)})), ${expected});`;
+        case 'valueEquals': return `assert.strictEqual(await ${element}.evaluate(el => el.value), ${expected});`;
+        case 'count': return `assert.strictEqual((await ${frame}.$$(${selector})).length, ${Number(step.expected)});`;
+        case 'urlMatches': return `assert.match(page.url(), new RegExp(${expected}));`;
+        default: return `// Unsupported assertion "${step.assertion}": ${JSON.stringify(step)}`;
+    }
+}
+
+// `flows` holds the saved flows, for inlining the ones this flow calls.
+function generatePuppeteerScript(flowName, steps, flows = {}) {
+    const inlined = inlineFlowCalls(steps, flows, [flowName]);
+    const extracts = hasExtractSteps(inlined);
+    const body = [
+        `await page.goto(${toJsString(steps[0].url)});`,
+        ...generateScriptBody(inlined, puppeteerStep),
+        ...(extracts ? ['console.log(JSON.stringify(data, null, 2));'] : [])
+    ].join('\n').replace(/^/gm, '        ');
+    return `// Generated by Replicate Operator from flow ${toJsString(flowName)}.
+// Run with: node <this file>   (requires: npm install puppeteer)
+const assert = require('node:assert');
+const puppeteer = require('puppeteer');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+${CODEGEN_HELPERS}${extracts ? `\n${CODEGEN_EXTRACT_HELPER}` : ''}
+
+(async () => {
+    const browser = await puppeteer.launch({ headless: true });
+    let page = await browser.newPage();
+    const tabs = [page];
+    browser.on('targetcreated', target => {
+        if (target.type() === 'page' && target.opener()) tabs.push(target.page());
+    });
+    ${CODEGEN_TAB_HELPER.replace(/\n/g, '\n    ')}
+    ${CODEGEN_FRAME_HELPER.replace(/\n/g, '\n    ')}
+    try {
+${body}
+        console.log(${toJsString(`Flow "${flowName}" passed.`)});
+    } catch (error) {
+        console.error(${toJsString(`Flow "${flowName}" failed:`)}, error);
+        process.exitCode = 1;
+    } finally {
+        await browser.close();
+    }
+})();
+`;
+}
+
+// --- Playwright ---
+
+function playwrightLocator(step) {
+    const frame = frameExpression(step);
+    const locator = getPrimaryLocator(step);
+    switch (locator.strategy) {
+        case 'aria': return `${frame}.getByRole(${toJsString(locator.value.role)}, { name: ${toJsString(locator.value.name)}, exact: true })`;
+        case 'text': return `${frame}.getByText(${toJsString(locator.value.text)}, { exact: true })`;
+        case 'xpath': return `${frame}.locator(${toJsString(`xpath=${locator.value}`)})`;
+        default: return `${frame}.locator(${toJsString(step.selector)})`;
+    }
+}
+
+function playwrightStep(step) {
+    switch (step.type) {
+        case 'switchTab':
+        case 'closeTab':
+            return tabStep(step);
+        case 'navigate':
+            if (isExpectedNavigation(step)) return `await page.waitForURL(${toJsString(step.url)});`;
+            return step.transition === 'reload' ? 'await page.reload();' : `await page.goto(${toJsString(step.url)});`;
+        case 'wait':
+            return `await page.waitForTimeout(${Number(step.duration)});`;
+        case 'click':
+            if (step.clickMode === 'coordinates' && step.position) {
+                return `await ${playwrightLocator(step)}.click({ position: { x: ${step.position.offsetX}, y: ${step.position.offsetY} } });`;
+            }
+            return `await ${playwrightLocator(step)}.click();`;
+        case 'change':
+            if (step.typingDelay) {
+                return `await ${playwrightLocator(step)}.fill('');\nawait ${playwrightLocator(step)}.pressSequentially(${toJsValue(step.value)}, { delay: ${Number(step.typingDelay)} });`;
+            }
+            return `await ${playwrightLocator(step)}.fill(${toJsValue(step.value)});`;
+        case 'keypress':
+            return `await ${playwrightLocator(step)}.press(${toJsString(formatKeyForScript(step).join('+'))});`;
+        case 'assert':
+            return playwrightAssertion(step);
+        case 'if':
+        case 'else':
+        case 'repeat':
+        case 'end':
+            return controlStep(step, playwrightAssertion(step));
+        case 'select':
+            return `await ${playwrightLocator(step)}.selectOption(${JSON.stringify([].concat(step.value ?? []).map(String))});`;
+        case 'check':
+            return `await ${playwrightLocator(step)}.setChecked(${Boolean(step.checked)});`;
+        case 'upload':
+            return `await ${playwrightLocator(step)}.setInputFiles(${uploadPaths(step)});`;
+        case 'hover':
+            return `await ${playwrightLocator(step)}.hover();`;
+        case 'scroll':
+            if (!step.selector) return `await page.evaluate(() => window.scrollTo(${Number(step.x)}, ${Number(step.y)}));`;
+            return `await ${playwrightLocator(step)}.evaluate(el => el.scrollTo(${Number(step.x)}, ${Number(step.y)}));`;
+        case 'dragdrop':
+            return `await ${playwrightLocator(step)}.dragTo(${playwrightLocator(getDropStep(step))});`;
+        case 'extract':
+            return extractStep(step, `${playwrightLocator(step)}.first()`);
+        default:
+            return `// Unsupported step type "${step.type}": ${JSON.stringify(step)}`;
+    }
+}
+
+function playwrightAssertion(step) {
+    const locator = step.assertion === 'count' ? `page.locator(${toJsString(step.selector)})` : playwrightLocator(step);
+    const expected = toJsValue(step.expected);
+    switch (step.assertion) {
+        case 'exists': return `await expect(${locator}).toHaveCount(1);`;
+        case 'absent': return `await expect(${locator}).toHaveCount(0);`;
+        case 'visible': return `await expect(${locator}).toBeVisible();`;
+        case 'textEquals': return `await expect(${locator}).toHaveText(${expected});`;
+        case 'textContains': return `await expect(${locator}).toContainText(${expected});`;
+        case 'textMatches': return `await expect(${locator}).toHaveText(new RegExp(${expected}));`;
+        case 'attributeEquals': return `await expect(${locator}).toHaveAttribute(${toJsString(step.attribute)}, ${expected});`;
+        case 'valueEquals': return `await expect(${locator}).toHaveValue(${expected});`;
+        case 'count': return `await expect(${locator}).toHaveCount(${Number(step.expected)});`;
+        case 'urlMatches': return `await expect(page).toHaveURL(new RegExp(${expected}));`;
+        default: return `// Unsupported assertion "${step.assertion}": ${JSON.stringify(step)}`;
+    }
+}
+
+function generatePlaywrightScript(flowName, steps, flows = {}) {
+    const inlined = inlineFlowCalls(steps, flows, [flowName]);
+    const extracts = hasExtractSteps(inlined);
+    const body = [
+        `await page.goto(${toJsString(steps[0].url)});`,
+        ...generateScriptBody(inlined, playwrightStep),
+        ...(extracts ? ['console.log(JSON.stringify(data, null, 2));'] : [])
+    ].join('\n').replace(/^/gm, '    ');
+    return `// Generated by Replicate Operator from flow ${toJsString(flowName)}.
+// Run with: npx playwright test <this file>   (requires: npm install -D @playwright/test)
+const { test, expect } = require('@playwright/test');
+
+${CODEGEN_HELPERS}${extracts ? `\n${CODEGEN_EXTRACT_HELPER}` : ''}
+
+test(${toJsString(flowName)}, async ({ page: firstPage }) => {
+    let page = firstPage;
+    const tabs = [page];
+    page.context().on('page', newPage => tabs.push(newPage));
+    ${CODEGEN_TAB_HELPER.replace(/\n/g, '\n    ')}
+    ${CODEGEN_FRAME_HELPER.replace(/\n/g, '\n    ')}
+${body}
+});
+`;
+}
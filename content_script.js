@@ -39,8 +39,65 @@ if (window.replicateOperatorHasRun) {
         return `body${path}`.trim();
     }
     
+    // The primary selector plus every fallback locator (see locators.js) replay can try.
+    function describeTarget(element) {
+        const selector = getSelector(element);
+        return { selector: selector, locators: buildLocators(element, selector) };
+    }
+
     // --- CORE LOGIC ---
+    // The script runs on every page; the costly handlers (hover tracking, the :hover rule scan)
+    // only do their work while background.js records this tab.
+    let recordingActive = false;
+    try {
+        chrome.runtime.sendMessage({ type: 'getRecordingState' }, (response) => {
+            if (chrome.runtime.lastError || !response) return;
+            recordingActive = response.isRecording;
+        });
+    } catch (e) {}
     const lastRecordedValue = new Map();
+    // The last mousedown recorded as a click. Choosing an option, ticking a box or dragging
+    // starts with one; the step for the real gesture tells background.js to drop that click.
+    let lastMouseDown = null;
+    // Their 'change' says what happened better than the value does (see onChange).
+    const NON_TEXT_INPUT_TYPES = ['checkbox', 'radio', 'file', 'button', 'submit', 'reset', 'image'];
+
+    function isTextField(element) {
+        if (element.isContentEditable || element.tagName === 'TEXTAREA') return true;
+        return element.tagName === 'INPUT' && !NON_TEXT_INPUT_TYPES.includes(element.type);
+    }
+
+    // --- Sensitive Fields ---
+    // Passwords, card details, one-time codes and whatever matches the user's own selector
+    // (the `sensitiveSelector` setting). Their values go to background.js flagged, which
+    // stores them as secrets and records only a {{secret:name}} reference.
+    const SENSITIVE_FIELD_SELECTOR = 'input[type="password"], [autocomplete^="cc-"], [autocomplete="one-time-code"], [autocomplete$="-password"]';
+    let customSensitiveSelector = '';
+    chrome.storage.local.get('settings').then(result => {
+        customSensitiveSelector = (result.settings && result.settings.sensitiveSelector) || '';
+    }).catch(() => {});
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes.settings) customSensitiveSelector = (changes.settings.newValue || {}).sensitiveSelector || '';
+    });
+
+    function isSensitiveField(element) {
+        if (element.matches(SENSITIVE_FIELD_SELECTOR)) return true;
+        try { return !!customSensitiveSelector && element.matches(customSensitiveSelector); } catch (e) { return false; }
+    }
+
+    // A name the user will recognize in the side panel: what the field is for, if it says so.
+    function suggestSecretName(element) {
+        const autocomplete = (element.getAttribute('autocomplete') || '').split(/\s+/).pop();
+        const hint = [autocomplete, element.name, element.id].find(value => value && value !== 'on' && value !== 'off');
+        return (hint || element.type || 'secret').replace(/[^\w.-]+/g, '-');
+    }
+
+    function getReplacedClick(element) {
+        if (!lastMouseDown) return undefined;
+        const { target, selector } = lastMouseDown;
+        const sameGesture = element.contains(target) || (target.tagName === 'LABEL' && target.control === element);
+        return sameGesture ? selector : undefined;
+    }
 
     function recordInputChange(target) {
         if (!target) return;
@@ -49,36 +106,546 @@ if (window.replicateOperatorHasRun) {
         else if (typeof target.value !== 'undefined') { value = target.value; }
         else { return; }
         if (lastRecordedValue.get(target) !== value) {
-            console.log(`%c[CS] Input change recorded. Value: "${value}"`, 'color: orange');
-            sendMessage({ type: 'change', selector: getSelector(target), value: value });
+            const sensitive = isSensitiveField(target);
+            console.log(`%c[CS] Input change recorded. Value: ${sensitive ? '(secret)' : `"${value}"`}`, 'color: orange');
+            const action = { type: 'change', ...describeTarget(target), value: value };
+            if (sensitive) Object.assign(action, { sensitive: true, secretName: suggestSecretName(target) });
+            sendMessage(action);
             lastRecordedValue.set(target, value);
         }
     }
 
+    // --- Assertions ---
+    // Recorded from the context menu (background.js asks us to build one for the element that
+    // was right-clicked) or by Alt+Shift-clicking an element, which asserts its text.
+    let lastContextMenuTarget = null;
+
+    function buildAssertion(kind, element, selectionText) {
+        const step = { type: 'assert', assertion: kind, ...describeTarget(element) };
+        switch (kind) {
+            case 'textEquals':
+                step.expected = normalizeText(element.innerText);
+                break;
+            case 'textContains':
+                step.expected = normalizeText(selectionText) || normalizeText(element.innerText);
+                break;
+            case 'valueEquals':
+                step.expected = element.value ?? '';
+                if (isSensitiveField(element)) Object.assign(step, { sensitive: true, secretName: suggestSecretName(element) });
+                break;
+            case 'attributeEquals': {
+                const suggestion = Array.from(element.attributes).map(attr => attr.name).find(name => name !== 'class' && name !== 'style') || '';
+                const attribute = prompt('Replicate Operator: which attribute should be checked?', suggestion);
+                if (!attribute) return null;
+                step.attribute = attribute;
+                step.expected = element.getAttribute(attribute) ?? '';
+                break;
+            }
+            case 'count':
+                // Count the element's same-type siblings rather than the one element itself.
+                step.selector = step.selector.replace(/:nth-of-type\(\d+\)$/, '');
+                delete step.locators;
+                step.expected = document.querySelectorAll(step.selector).length;
+                break;
+        }
+        return step;
+    }
+
+    function recordAssertion(kind, element, selectionText) {
+        const step = buildAssertion(kind, element, selectionText);
+        if (!step) return;
+        console.log(`%c[CS] Assertion "${kind}" recorded on target:`, 'color: purple', element);
+        sendMessage(step);
+    }
+
+    document.addEventListener('contextmenu', (event) => {
+        lastContextMenuTarget = event.composedPath()[0];
+    }, { capture: true });
+
+    // --- Data Extraction ---
+    // Recorded from the context menu like assertions. The user names the variable the run
+    // stores the data in; 'all' and 'cards' take every element like the one right-clicked.
+    const EXTRACTION_VARIABLE_SUGGESTIONS = { text: 'text', all: 'items', table: 'rows', cards: 'cards' };
+
+    function buildExtraction(kind, element) {
+        const step = { type: 'extract', extract: kind, ...describeTarget(element) };
+        switch (kind) {
+            case 'attribute': {
+                const suggestion = ['href', 'src', 'value'].find(name => element.hasAttribute(name))
+                    || Array.from(element.attributes).map(attr => attr.name).find(name => name !== 'class' && name !== 'style') || '';
+                const attribute = prompt('Replicate Operator: which attribute should be extracted?', suggestion);
+                if (!attribute) return null;
+                step.attribute = attribute;
+                break;
+            }
+            case 'all':
+                step.selector = step.selector.replace(/:nth-of-type\(\d+\)$/, '');
+                delete step.locators;
+                break;
+            case 'table': {
+                const table = element.closest('table');
+                if (!table) { alert('Replicate Operator: that element is not part of a table.'); return null; }
+                Object.assign(step, describeTarget(table));
+                break;
+            }
+            case 'cards': {
+                const card = findRepeatedAncestor(element);
+                if (!card) { alert('Replicate Operator: no repeated items (cards, list entries, rows) found around that element.'); return null; }
+                step.selector = `${getSelector(card.parentElement)} > ${describeCardType(card)}`;
+                delete step.locators;
+                step.fields = suggestCardFields(card);
+                break;
+            }
+        }
+        const suggestion = step.attribute ? step.attribute.replace(/[^\w.-]+/g, '-') : EXTRACTION_VARIABLE_SUGGESTIONS[kind];
+        const variable = prompt('Replicate Operator: store the data in which variable?', suggestion);
+        if (!variable || !variable.trim()) return null;
+        step.variable = variable.trim().replace(/[^\w.-]+/g, '-');
+        return step;
+    }
+
+    // The nearest ancestor (or the element itself) that has siblings of its own kind.
+    function findRepeatedAncestor(element) {
+        for (let current = element; current && current.parentElement && current !== document.body; current = current.parentElement) {
+            const type = describeCardType(current);
+            const alike = Array.from(current.parentElement.children).filter(sibling => sibling.matches(type));
+            if (alike.length > 1) return current;
+        }
+        return null;
+    }
+
+    function describeCardType(element) {
+        const tagName = element.tagName.toLowerCase();
+        return element.classList.length > 0 ? `${tagName}.${CSS.escape(element.classList[0])}` : tagName;
+    }
+
+    // A field per piece of text in the card, plus its first link and image; the user can
+    // rename or drop them in the step editor.
+    function suggestCardFields(card) {
+        const fields = {};
+        const addField = (name, spec) => {
+            let unique = name;
+            for (let n = 2; unique in fields; n++) unique = `${name}${n}`;
+            fields[unique] = spec;
+        };
+        Array.from(card.querySelectorAll('*')).filter(leaf => leaf.children.length === 0 && normalizeText(leaf.innerText)).forEach(leaf => {
+            const type = describeCardType(leaf);
+            // Only sub-selectors that find this very element in the card.
+            if (card.querySelector(type) !== leaf) return;
+            addField(leaf.classList.length > 0 ? leaf.classList[0] : leaf.tagName.toLowerCase(), type);
+        });
+        if (card.querySelector('a[href]')) addField('link', 'a[href]@href');
+        else if (card.matches('a[href]')) addField('link', '@href');
+        if (card.querySelector('img[src]')) addField('image', 'img[src]@src');
+        if (Object.keys(fields).length === 0) addField('text', '');
+        return fields;
+    }
+
+    function recordExtraction(kind, element) {
+        const step = buildExtraction(kind, element);
+        if (!step) return;
+        console.log(`%c[CS] Extraction "${kind}" recorded on target:`, 'color: purple', element);
+        sendMessage(step);
+    }
+
+    // --- Form Controls ---
+    // Selects, checkboxes, radios and file inputs are recorded from the 'change' they fire,
+    // which says what was chosen no matter how (mouse, keyboard, label).
+    function onChange(event) {
+        const target = event.composedPath()[0];
+        if (!event.isTrusted) return;
+        if (target.tagName === 'SELECT') {
+            const selected = Array.from(target.selectedOptions);
+            const labels = selected.map(option => normalizeText(option.text));
+            sendMessage({
+                type: 'select',
+                ...describeTarget(target),
+                value: target.multiple ? selected.map(option => option.value) : target.value,
+                label: target.multiple ? labels : (labels[0] || ''),
+                replacesClick: getReplacedClick(target)
+            });
+        } else if (target.tagName === 'INPUT' && (target.type === 'checkbox' || target.type === 'radio')) {
+            sendMessage({ type: 'check', ...describeTarget(target), checked: target.checked, replacesClick: getReplacedClick(target) });
+        } else if (target.tagName === 'INPUT' && target.type === 'file') {
+            // Only names and types: the files themselves never leave the page. Replay uploads placeholders.
+            const files = Array.from(target.files).map(file => ({ name: file.name, type: file.type }));
+            sendMessage({ type: 'upload', ...describeTarget(target), files: files, replacesClick: getReplacedClick(target) });
+        } else {
+            return;
+        }
+        console.log(`%c[CS] Form control change recorded on target:`, 'color: orange', target);
+    }
+
+    // --- Hover ---
+    // Only hovers that keep the clicked element on screen are recorded, right before the click.
+    // Menus open either through a CSS rule like `.menu:hover .submenu`, or through script
+    // reacting to the pointer; for those we watch what the page changes as the pointer moves.
+    const HOVER_REVEAL_WINDOW = 1000;
+    const HOVER_MEMORY = 10000;
+    const REVEALING_PROPERTIES = ['display', 'visibility', 'opacity', 'max-height', 'height', 'transform'];
+    const hoverTrail = [];
+    const recentReveals = [];
+    let revealObserverTimer = null;
+    const revealObserver = new MutationObserver(records => rememberReveals(records));
+
+    function rememberReveals(records) {
+        const now = Date.now();
+        for (const record of records) {
+            const nodes = record.type === 'childList' ? Array.from(record.addedNodes) : [record.target];
+            nodes
+                .filter(node => node.nodeType === Node.ELEMENT_NODE && node !== document.body && node !== document.documentElement)
+                .forEach(node => recentReveals.push({ node: node, at: now }));
+        }
+        while (recentReveals.length > 0 && now - recentReveals[0].at > HOVER_MEMORY) recentReveals.shift();
+    }
+
+    function onMouseOver(event) {
+        if (!recordingActive) return;
+        hoverTrail.push({ element: event.composedPath()[0], at: Date.now() });
+        if (hoverTrail.length > 50) hoverTrail.shift();
+        // Watch the page only while the pointer is moving.
+        revealObserver.observe(document.documentElement, {
+            childList: true, subtree: true, attributes: true,
+            attributeFilter: ['class', 'style', 'hidden', 'aria-hidden', 'aria-expanded', 'open']
+        });
+        clearTimeout(revealObserverTimer);
+        revealObserverTimer = setTimeout(() => {
+            rememberReveals(revealObserver.takeRecords());
+            revealObserver.disconnect();
+        }, HOVER_REVEAL_WINDOW);
+    }
+
+    // Hovered elements the target depends on, outermost first (nested menus need each level).
+    function findHoverTriggers(target) {
+        const triggers = new Set(findCssHoverTriggers(target));
+        const scripted = findScriptHoverTrigger(target);
+        if (scripted) triggers.add(scripted);
+        triggers.delete(target);
+        return [...triggers].sort((a, b) => a.contains(b) ? -1 : b.contains(a) ? 1 : 0);
+    }
+
+    // Part of the page holding the target changed just after the pointer entered something else.
+    function findScriptHoverTrigger(target) {
+        rememberReveals(revealObserver.takeRecords());
+        for (let i = recentReveals.length - 1; i >= 0; i--) {
+            const reveal = recentReveals[i];
+            if (!reveal.node.isConnected || !reveal.node.contains(target)) continue;
+            const hover = [...hoverTrail].reverse().find(entry =>
+                entry.at <= reveal.at && reveal.at - entry.at <= HOVER_REVEAL_WINDOW && !target.contains(entry.element));
+            if (hover && hover.element.isConnected) return hover.element;
+        }
+        return null;
+    }
+
+    function findCssHoverTriggers(target) {
+        const triggers = new Set();
+        for (const { selector, triggerSelector } of getCssHoverRules()) {
+            try {
+                const revealed = target.closest(selector);
+                const trigger = revealed && revealed.parentElement && revealed.parentElement.closest(`${triggerSelector}:hover`);
+                if (trigger) triggers.add(trigger);
+            } catch (e) {} // A selector closest() rejects
+        }
+        return [...triggers];
+    }
+
+    // The :hover rules that reveal something, as { selector, triggerSelector }. Reading every
+    // rule of a large bundle on each mousedown would slow recording down, so they are kept
+    // until a stylesheet is added, removed, replaced or gains or loses rules.
+    let cssHoverRuleCache = null;
+
+    function getCssHoverRules() {
+        const sheets = Array.from(document.styleSheets);
+        const ruleCounts = sheets.map(sheet => {
+            try { return sheet.cssRules.length; } catch (e) { return -1; } // Cross-origin stylesheets can't be read
+        });
+        const cache = cssHoverRuleCache;
+        if (cache && cache.sheets.length === sheets.length
+            && sheets.every((sheet, i) => sheet === cache.sheets[i] && ruleCounts[i] === cache.ruleCounts[i])) {
+            return cache.rules;
+        }
+
+        const rules = [];
+        const visit = (cssRules) => {
+            for (const rule of cssRules) {
+                if (rule.cssRules) visit(rule.cssRules); // @media, @supports, nesting
+                if (!rule.selectorText || !rule.selectorText.includes(':hover')) continue;
+                if (!REVEALING_PROPERTIES.some(property => rule.style.getPropertyValue(property))) continue;
+                for (const selector of rule.selectorText.split(',')) {
+                    // Only descendant and child combinators: the trigger contains what it reveals.
+                    const match = selector.match(/^(.*?):hover(?:\s*>\s*|\s+)(.+)$/);
+                    if (match && match[1].trim()) rules.push({ selector: selector.trim(), triggerSelector: match[1].trim() });
+                }
+            }
+        };
+        sheets.forEach((sheet, i) => { if (ruleCounts[i] !== -1) visit(sheet.cssRules); });
+        cssHoverRuleCache = { sheets: sheets, ruleCounts: ruleCounts, rules: rules };
+        return rules;
+    }
+
+    // --- Scroll ---
+    // Recorded once scrolling settles, and only after the user did something that scrolls
+    // (wheel, touch, keys, dragging a scrollbar), so pages scrolling themselves stay out.
+    const SCROLL_SETTLE_DELAY = 250;
+    const SCROLL_INTENT_WINDOW = 1000;
+    let lastScrollIntent = 0;
+    const scrollTimers = new Map();
+
+    function onScrollIntent() {
+        lastScrollIntent = Date.now();
+    }
+
+    function onScroll(event) {
+        if (Date.now() - lastScrollIntent > SCROLL_INTENT_WINDOW) return;
+        if (pointerDragStart) pointerDragStart.scrolled = true;
+        const scroller = event.target;
+        clearTimeout(scrollTimers.get(scroller));
+        scrollTimers.set(scroller, setTimeout(() => {
+            scrollTimers.delete(scroller);
+            recordScroll(scroller);
+        }, SCROLL_SETTLE_DELAY));
+    }
+
+    // Without a selector, a scroll step scrolls the window.
+    function recordScroll(scroller) {
+        if (scroller === document) {
+            sendMessage({ type: 'scroll', x: Math.round(window.scrollX), y: Math.round(window.scrollY) });
+        } else if (scroller.isConnected) {
+            sendMessage({ type: 'scroll', ...describeTarget(scroller), x: Math.round(scroller.scrollLeft), y: Math.round(scroller.scrollTop) });
+        }
+    }
+
+    // --- Drag and Drop ---
+    // HTML5 drags report their source and drop target. Libraries that drag with mouse events
+    // are spotted at mouseup: the button went down on one element and came up, well away,
+    // over another, without selecting text or scrolling on the way.
+    const DRAG_THRESHOLD = 10;
+    let html5DragSource = null;
+    let pointerDragStart = null;
+
+    function onDragStart(event) {
+        html5DragSource = event.composedPath()[0];
+        pointerDragStart = null;
+    }
+
+    function onDrop(event) {
+        if (!html5DragSource) return;
+        recordDragDrop(html5DragSource, event.composedPath()[0], event, 'html5');
+        html5DragSource = null;
+    }
+
+    function onDragEnd() {
+        html5DragSource = null;
+    }
+
+    function onMouseUp(event) {
+        const start = pointerDragStart;
+        pointerDragStart = null;
+        if (!start || start.scrolled || !window.getSelection().isCollapsed) return;
+        if (Math.hypot(event.clientX - start.x, event.clientY - start.y) < DRAG_THRESHOLD) return;
+        // Skip the dragged element itself, which libraries often move along under the pointer.
+        const dropTarget = document.elementsFromPoint(event.clientX, event.clientY)
+            .find(element => !start.target.contains(element) && !element.contains(start.target));
+        if (dropTarget) recordDragDrop(start.target, dropTarget, event, 'pointer');
+    }
+
+    function recordDragDrop(source, dropTarget, event, dragMode) {
+        const drop = describeTarget(dropTarget);
+        const rect = dropTarget.getBoundingClientRect();
+        console.log(`%c[CS] Drag and drop (${dragMode}) recorded:`, 'color: green', source, dropTarget);
+        sendMessage({
+            type: 'dragdrop',
+            ...describeTarget(source),
+            dragMode: dragMode,
+            dropSelector: drop.selector,
+            dropLocators: drop.locators,
+            dropPosition: { offsetX: Math.round(event.clientX - rect.left), offsetY: Math.round(event.clientY - rect.top) },
+            replacesClick: getReplacedClick(source)
+        });
+    }
+
     // --- The All-in-One Mousedown Handler ---
     function onMouseDown(event) {
+        if (!recordingActive) return;
         const target = event.composedPath()[0];
         const activeElement = document.activeElement;
 
+        if (event.altKey && event.shiftKey) {
+            recordAssertion(normalizeText(target.innerText) ? 'textEquals' : 'visible', target);
+            return;
+        }
+
         // Step 1: Check if the click is happening away from an active input.
         // This MUST happen first, as this is our only chance to get the correct input value.
-        if (activeElement && activeElement !== target && (activeElement.isContentEditable || ['INPUT', 'TEXTAREA'].includes(activeElement.tagName))) {
+        if (activeElement && activeElement !== target && isTextField(activeElement)) {
             console.log(`%c[CS] Mousedown away from input. Saving input state.`, 'color: magenta');
             recordInputChange(activeElement);
         }
+
+        // Hovers that keep the target on screen (menus) have to be replayed before the click.
+        findHoverTriggers(target).forEach(trigger => {
+            console.log(`%c[CS] Target depends on hover, recording hover on:`, 'color: green', trigger);
+            sendMessage({ type: 'hover', ...describeTarget(trigger) });
+        });
         
         // Step 2: Immediately record the mousedown event as a 'click' action.
         // We trust the mousedown target, not the click target.
         console.log(`%c[CS] Mousedown detected, recording as click on target:`, 'color: green', target);
-        sendMessage({
+        const click = {
             type: 'click',
-            selector: getSelector(target),
-            label: target.innerText?.trim().substring(0, 50) || ''
+            ...describeTarget(target),
+            label: target.innerText?.trim().substring(0, 50) || '',
+            position: getClickPosition(event, target)
+        };
+        // A canvas has no inner structure a selector could point into; where you click is what matters.
+        if (target.tagName === 'CANVAS') click.clickMode = 'coordinates';
+        sendMessage(click);
+        lastMouseDown = { target: target, selector: click.selector };
+        if (!['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) {
+            pointerDragStart = { target: target, x: event.clientX, y: event.clientY, scrolled: false };
+        }
+    }
+
+    // Where the click landed, both in the page and relative to the target, plus the target's
+    // size so replay can scale the offset if the element is rendered at a different size.
+    function getClickPosition(event, target) {
+        const rect = target.getBoundingClientRect();
+        return {
+            pageX: Math.round(event.pageX),
+            pageY: Math.round(event.pageY),
+            offsetX: Math.round(event.clientX - rect.left),
+            offsetY: Math.round(event.clientY - rect.top),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height)
+        };
+    }
+
+    // --- The Keydown Handler ---
+    // Plain typing is captured as a 'change' when the field is left; here we only care about
+    // keys that *do* something: submitting, moving focus, closing things and shortcuts.
+    const RECORDED_KEYS = ['Enter', 'Tab', 'Escape'];
+    const MODIFIER_KEYS = ['Control', 'Shift', 'Alt', 'Meta'];
+
+    function onKeyDown(event) {
+        if (!event.isTrusted || event.repeat || MODIFIER_KEYS.includes(event.key)) return;
+        const isShortcut = event.ctrlKey || event.altKey || event.metaKey;
+        if (!RECORDED_KEYS.includes(event.key) && !isShortcut) return;
+
+        const target = event.composedPath()[0];
+
+        // The key may submit the form or move focus, so this is the last chance to save the field.
+        if (isTextField(target)) {
+            recordInputChange(target);
+        }
+
+        console.log(`%c[CS] Key "${event.key}" detected, recording as keypress on target:`, 'color: teal', target);
+        sendMessage({
+            type: 'keypress',
+            ...describeTarget(target),
+            key: event.key,
+            code: event.code,
+            keyCode: event.keyCode,
+            modifiers: { ctrl: event.ctrlKey, shift: event.shiftKey, alt: event.altKey, meta: event.metaKey }
+        });
+    }
+
+    // --- Element Picker (used by the side panel's step editor) ---
+    // While picking, the page must not react to the pick click, and a running recording must
+    // not record it, so we listen on window in the capture phase and swallow the events.
+    let pickerOverlay = null;
+
+    function startElementPicker() {
+        if (pickerOverlay) return;
+        pickerOverlay = document.createElement('div');
+        pickerOverlay.style.cssText = 'position:fixed;pointer-events:none;z-index:2147483647;border:2px solid #007bff;background:rgba(0,123,255,0.15);display:none;';
+        document.documentElement.appendChild(pickerOverlay);
+        window.addEventListener('mousemove', onPickerMove, true);
+        window.addEventListener('mousedown', onPickerPick, true);
+        ['pointerdown', 'pointerup', 'mouseup', 'click'].forEach(type => window.addEventListener(type, swallowEvent, true));
+        window.addEventListener('keydown', onPickerKeyDown, true);
+    }
+
+    function stopElementPicker() {
+        if (!pickerOverlay) return;
+        pickerOverlay.remove();
+        pickerOverlay = null;
+        window.removeEventListener('mousemove', onPickerMove, true);
+        window.removeEventListener('mousedown', onPickerPick, true);
+        ['pointerdown', 'pointerup', 'mouseup', 'click'].forEach(type => window.removeEventListener(type, swallowEvent, true));
+        window.removeEventListener('keydown', onPickerKeyDown, true);
+    }
+
+    function swallowEvent(event) {
+        event.preventDefault();
+        event.stopImmediatePropagation();
+    }
+
+    function onPickerMove(event) {
+        const rect = event.composedPath()[0].getBoundingClientRect();
+        Object.assign(pickerOverlay.style, {
+            display: 'block',
+            top: `${rect.top}px`,
+            left: `${rect.left}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`
+        });
+    }
+
+    function onPickerPick(event) {
+        swallowEvent(event);
+        const target = event.composedPath()[0];
+        console.log(`%c[CS] Element picked:`, 'color: #007bff', target);
+        stopElementPicker();
+        try { chrome.runtime.sendMessage({ type: 'elementPicked', ...describeTarget(target) }); } catch (e) {}
+    }
+
+    function onPickerKeyDown(event) {
+        if (event.key !== 'Escape') return;
+        swallowEvent(event);
+        stopElementPicker();
+        try { chrome.runtime.sendMessage({ type: 'elementPickerCancelled' }); } catch (e) {}
+    }
+
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+        if (request.type === 'setRecording') {
+            recordingActive = request.isRecording;
+        } else if (request.type === 'startElementPicker') {
+            startElementPicker();
+            sendResponse({ status: 'picking' });
+        } else if (request.type === 'stopElementPicker') {
+            stopElementPicker();
+        } else if (request.type === 'recordAssertion' && lastContextMenuTarget) {
+            recordAssertion(request.assertion, lastContextMenuTarget, request.selectionText);
+        } else if (request.type === 'recordExtraction' && lastContextMenuTarget) {
+            recordExtraction(request.extract, lastContextMenuTarget);
+        }
+    });
+
+    // --- Page Bridge (see EXTERNAL API in background.js) ---
+    // Relays a page's requests to the extension, which only answers origins the user allowed.
+    function onPageRequest(event) {
+        if (event.source !== window || !event.data || event.data.source !== 'replicate-operator-request') return;
+        const { id, request } = event.data;
+        chrome.runtime.sendMessage({ type: 'externalRequest', request: request }, (response) => {
+            if (chrome.runtime.lastError || response === undefined) return;
+            window.postMessage({ source: 'replicate-operator-response', id: id, response: response }, event.origin);
         });
     }
 
-    // --- ATTACH THE SINGLE, MOST IMPORTANT LISTENER ---
+    // --- ATTACH THE LISTENERS ---
+    window.addEventListener('message', onPageRequest);
     document.addEventListener('mousedown', onMouseDown, { capture: true });
+    document.addEventListener('keydown', onKeyDown, { capture: true });
+    document.addEventListener('change', onChange, { capture: true });
+    document.addEventListener('mouseover', onMouseOver, { capture: true, passive: true });
+    document.addEventListener('mouseup', onMouseUp, { capture: true });
+    document.addEventListener('dragstart', onDragStart, { capture: true });
+    document.addEventListener('drop', onDrop, { capture: true });
+    document.addEventListener('dragend', onDragEnd, { capture: true });
+    document.addEventListener('scroll', onScroll, { capture: true, passive: true });
+    ['wheel', 'touchmove', 'keydown', 'mousedown'].forEach(type => {
+        document.addEventListener(type, onScrollIntent, { capture: true, passive: true });
+    });
 
-    console.log("[CS] Final 'Mousedown-is-King' listener is active.");
+    console.log("[CS] Final 'Mousedown-is-King' and keydown listeners are active.");
 }
\ No newline at end of file
@@ -0,0 +1,210 @@
+// =================================================================================
+// Replicate Operator - locators.js (Shared Record/Replay Locator Strategies)
+// =================================================================================
+//
+// Loaded before content_script.js (to build locators while recording) and before
+// replay_script.js (to resolve them again). A locator is { strategy, value }:
+//   id, testid, css  -> value is a CSS selector
+//   xpath            -> value is an XPath expression
+//   aria             -> value is { role, name }
+//   text             -> value is { tag, text }
+//   relative         -> value is { anchor, path }, a path below a stable ancestor
+
+if (window.replicateOperatorLocatorsHaveRun) {
+    // Guard against double execution
+} else {
+    window.replicateOperatorLocatorsHaveRun = true;
+
+    const TEST_ID_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-qa', 'data-cy'];
+    const IMPLICIT_ROLES = {
+        A: el => el.hasAttribute('href') ? 'link' : null,
+        BUTTON: () => 'button',
+        SELECT: () => 'combobox',
+        TEXTAREA: () => 'textbox',
+        IMG: () => 'img',
+        H1: () => 'heading', H2: () => 'heading', H3: () => 'heading',
+        H4: () => 'heading', H5: () => 'heading', H6: () => 'heading',
+        INPUT: el => {
+            const type = (el.getAttribute('type') || 'text').toLowerCase();
+            if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+            if (['checkbox', 'radio'].includes(type)) return type;
+            if (type === 'range') return 'slider';
+            if (type === 'search') return 'searchbox';
+            return 'textbox';
+        }
+    };
+    // Selectors for every element that may carry a given role, explicit or implicit.
+    const ROLE_CANDIDATES = {
+        link: 'a[href]',
+        button: 'button, input[type="button"], input[type="submit"], input[type="reset"], input[type="image"]',
+        combobox: 'select',
+        textbox: 'textarea, input',
+        searchbox: 'input[type="search"]',
+        checkbox: 'input[type="checkbox"]',
+        radio: 'input[type="radio"]',
+        slider: 'input[type="range"]',
+        img: 'img',
+        heading: 'h1, h2, h3, h4, h5, h6'
+    };
+
+    function normalizeText(text) {
+        return (text || '').replace(/\s+/g, ' ').trim();
+    }
+
+    function isUniqueSelector(selector, root = document) {
+        try { return root.querySelectorAll(selector).length === 1; } catch (e) { return false; }
+    }
+
+    function getElementRole(element) {
+        const explicit = element.getAttribute('role');
+        if (explicit) return explicit.split(' ')[0];
+        const implicit = IMPLICIT_ROLES[element.tagName];
+        return implicit ? implicit(element) : null;
+    }
+
+    // A pragmatic subset of the accessible name computation: enough to tell controls apart.
+    function getAccessibleName(element) {
+        const label = element.getAttribute('aria-label');
+        if (label) return normalizeText(label);
+        const labelledBy = element.getAttribute('aria-labelledby');
+        if (labelledBy) {
+            const text = labelledBy.split(' ')
+                .map(id => document.getElementById(id))
+                .filter(Boolean)
+                .map(el => el.textContent)
+                .join(' ');
+            if (normalizeText(text)) return normalizeText(text);
+        }
+        if (element.labels && element.labels.length > 0) {
+            return normalizeText(Array.from(element.labels).map(el => el.textContent).join(' '));
+        }
+        if (element.tagName === 'IMG') return normalizeText(element.getAttribute('alt'));
+        if (element.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(element.type)) {
+            return normalizeText(element.value);
+        }
+        if (!['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName)) {
+            const text = normalizeText(element.innerText);
+            if (text) return text;
+        }
+        return normalizeText(element.getAttribute('placeholder') || element.getAttribute('title'));
+    }
+
+    function getXPath(element) {
+        const segments = [];
+        let current = element;
+        while (current && current.nodeType === Node.ELEMENT_NODE) {
+            if (current.id) {
+                segments.unshift(`//*[@id="${current.id}"]`);
+                return segments.join('/');
+            }
+            let index = 1;
+            let sibling = current.previousElementSibling;
+            while (sibling) {
+                if (sibling.tagName === current.tagName) index++;
+                sibling = sibling.previousElementSibling;
+            }
+            segments.unshift(`${current.tagName.toLowerCase()}[${index}]`);
+            current = current.parentElement;
+        }
+        return '/' + segments.join('/');
+    }
+
+    function getStableAttributeSelector(element) {
+        for (const attr of [...TEST_ID_ATTRIBUTES, 'aria-label', 'name']) {
+            const value = element.getAttribute(attr);
+            if (value) {
+                const selector = `${element.tagName.toLowerCase()}[${attr}="${CSS.escape(value)}"]`;
+                if (isUniqueSelector(selector)) return selector;
+            }
+        }
+        return null;
+    }
+
+    // Path from the nearest uniquely identifiable ancestor (not counting ids, which 'id' and
+    // 'css' already use), so a change elsewhere in the page does not break it.
+    function getRelativeLocator(element) {
+        const path = [];
+        let current = element;
+        for (let depth = 0; depth < 6 && current.parentElement; depth++) {
+            let index = 1;
+            let sibling = current.previousElementSibling;
+            while (sibling) {
+                if (sibling.tagName === current.tagName) index++;
+                sibling = sibling.previousElementSibling;
+            }
+            path.unshift(`${current.tagName.toLowerCase()}:nth-of-type(${index})`);
+            current = current.parentElement;
+            const anchor = getStableAttributeSelector(current);
+            if (anchor) return { anchor: anchor, path: path.join(' > ') };
+        }
+        return null;
+    }
+
+    // Ranked most to least robust. `cssSelector` is the recorder's own selector for the element.
+    function buildLocators(element, cssSelector) {
+        const locators = [];
+        const add = (strategy, value) => {
+            if (!value) return;
+            const key = JSON.stringify(value);
+            // An id is often also the CSS path; keep only the higher-ranked copy.
+            if (!locators.some(locator => JSON.stringify(locator.value) === key)) {
+                locators.push({ strategy: strategy, value: value });
+            }
+        };
+
+        if (element.id && isUniqueSelector(`#${CSS.escape(element.id)}`)) add('id', `#${CSS.escape(element.id)}`);
+        for (const attr of TEST_ID_ATTRIBUTES) {
+            const value = element.getAttribute(attr);
+            const selector = value && `[${attr}="${CSS.escape(value)}"]`;
+            if (selector && isUniqueSelector(selector)) { add('testid', selector); break; }
+        }
+        const role = getElementRole(element);
+        const name = getAccessibleName(element);
+        if (role && name && name.length <= 100) add('aria', { role: role, name: name });
+        const text = normalizeText(element.innerText);
+        if (text && text.length <= 80 && !['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName)) {
+            add('text', { tag: element.tagName.toLowerCase(), text: text });
+        }
+        add('css', cssSelector);
+        add('xpath', getXPath(element));
+        add('relative', getRelativeLocator(element));
+        return locators;
+    }
+
+    function findByLocator(locator) {
+        const value = locator.value;
+        try {
+            switch (locator.strategy) {
+                case 'id':
+                case 'testid':
+                case 'css':
+                    return document.querySelector(value);
+                case 'xpath':
+                    return document.evaluate(value, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+                case 'aria': {
+                    const candidates = document.querySelectorAll(`[role="${value.role}"]` + (ROLE_CANDIDATES[value.role] ? `, ${ROLE_CANDIDATES[value.role]}` : ''));
+                    return Array.from(candidates).find(el => getElementRole(el) === value.role && getAccessibleName(el) === value.name) || null;
+                }
+                case 'text':
+                    return Array.from(document.querySelectorAll(value.tag)).find(el => normalizeText(el.innerText) === value.text) || null;
+                case 'relative': {
+                    const anchor = document.querySelector(value.anchor);
+                    return anchor ? anchor.querySelector(`:scope > ${value.path}`) : null;
+                }
+                default:
+                    return null;
+            }
+        } catch (e) {
+            return null; // A malformed locator is simply one that doesn't match
+        }
+    }
+
+    function describeLocator(locator) {
+        switch (locator.strategy) {
+            case 'aria': return `${locator.value.role} "${locator.value.name}"`;
+            case 'text': return `${locator.value.tag} with text "${locator.value.text}"`;
+            case 'relative': return `${locator.value.anchor} > ${locator.value.path}`;
+            default: return locator.value;
+        }
+    }
+}
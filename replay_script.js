@@ -2,70 +2,926 @@
 // Replicate Operator - replay_script.js (Final Frame-Aware Replay)
 // =================================================================================
 
-console.log(`Replicate Operator: Replay script injected in frame: ${window.location.href}. Ready for commands.`);
-
-// This listener is key. EACH frame will have this listener.
-// But only the one matching the frameId from the background will execute the step.
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    // We don't need to check the frameId here, because background.js already sent the message
-    // to the correct frame. If this script receives the message, it IS the correct frame.
-    if (request.type === 'executeSingleStep') {
-        const step = request.step;
-        console.log(`%c[Replay] Executing step in this frame (frameId match):`, 'background: #222; color: #bada55', step);
+// The runner re-injects this script after every navigation, and may hit a frame that
+// already has it. Registering the listener twice would execute every step twice.
+if (window.replicateOperatorReplayHasRun) {
+    // Guard against double execution
+} else {
+    window.replicateOperatorReplayHasRun = true;
+
+    console.log(`Replicate Operator: Replay script injected in frame: ${window.location.href}. Ready for commands.`);
+
+    // This listener is key. EACH frame will have this listener.
+    // But only the one matching the frameId from the background will execute the step.
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+        // We don't need to check the frameId here, because background.js already sent the message
+        // to the correct frame. If this script receives the message, it IS the correct frame.
+        if (request.type === 'executeSingleStep') {
+            const step = request.step;
+            console.log(`%c[Replay] Executing step in this frame (frameId match):`, 'background: #222; color: #bada55', concealStep(step));
         
-        executeStep(step)
-            .then(result => {
-                sendResponse({ status: 'success', result: result });
-            })
-            .catch(error => {
-                console.error('[Replay] Failed to execute step:', step, error);
-                sendResponse({ status: 'error', message: error.message });
+            executeStep(step, request.timing, request.highlight)
+                .then(result => {
+                    sendResponse({ status: 'success', result: result });
+                })
+                .catch(error => {
+                    console.error('[Replay] Failed to execute step:', concealStep(step), error);
+                    sendResponse({ status: 'error', message: error.message });
+                });
+
+            return true; // Indicates an asynchronous response.
+        } else if (request.type === 'highlightStep') {
+            // Paused before this step: outline its target if it is already on the page.
+            const locators = request.step.locators && request.step.locators.length > 0
+                ? request.step.locators
+                : [{ strategy: 'css', value: request.step.selector }];
+            const element = locators.map(findByLocator).find(Boolean);
+            if (element) highlightTarget(element);
+        } else if (request.type === 'clearHighlight') {
+            clearTargetHighlight();
+        }
+    });
+
+    // --- Smart Wait Function ---
+    // Tries the step's locators in rank order until one matches. For the first second only
+    // the primary locator counts, so a loose fallback can't grab the wrong element while
+    // the page is still rendering the right one. Flows recorded before locators existed
+    // fall back to their single selector.
+    const PRIMARY_GRACE_PERIOD = 1000;
+
+    function waitForElement(step, timeout) {
+        const locators = step.locators && step.locators.length > 0
+            ? step.locators
+            : [{ strategy: 'css', value: step.selector }];
+        return new Promise((resolve, reject) => {
+            const startTime = Date.now();
+            const intervalId = setInterval(() => {
+                const elapsed = Date.now() - startTime;
+                const candidates = elapsed < PRIMARY_GRACE_PERIOD ? locators.slice(0, 1) : locators;
+                for (const [index, locator] of candidates.entries()) {
+                    const element = findByLocator(locator);
+                    if (element) {
+                        clearInterval(intervalId);
+                        console.log(`[Replay] Element found by ${locator.strategy} locator: ${describeLocator(locator)}`);
+                        resolve({ element: element, locator: locator, stale: index > 0 });
+                        return;
+                    }
+                }
+                if (elapsed > timeout) {
+                    clearInterval(intervalId);
+                    const tried = locators.map(locator => `${locator.strategy}: ${describeLocator(locator)}`).join('; ');
+                    reject(new Error(`Element not found for selector: ${step.selector} (tried ${tried})`));
+                }
+            }, 100);
+        });
+    }
+
+
+    // --- Stability Waits ---
+    // With the 'stable' timing mode the runner waits for network quiet itself; in the frame
+    // we wait for the DOM to stop changing. Whatever the mode, the target is scrolled into
+    // view and has to be ready for the action before it happens.
+    const DOM_QUIET_PERIOD = 300;
+    // Steps that act through the pointer, and those that only need a usable field.
+    const POINTER_STEP_TYPES = ['click', 'hover', 'dragdrop'];
+    const INPUT_STEP_TYPES = ['change', 'keypress', 'select', 'check', 'upload'];
+    // How long a target's box has to stay put to count as no longer moving.
+    const MOTION_SAMPLE_INTERVAL = 50;
+
+    // Resolves once nothing in the document has changed for DOM_QUIET_PERIOD. A page that
+    // never stops (a ticking clock, a carousel) just uses up the timeout and carries on.
+    function waitForDomQuiet(timeout) {
+        return new Promise(resolve => {
+            let quietTimer;
+            const finish = () => {
+                observer.disconnect();
+                clearTimeout(quietTimer);
+                clearTimeout(timeoutTimer);
+                resolve();
+            };
+            const observer = new MutationObserver(() => {
+                clearTimeout(quietTimer);
+                quietTimer = setTimeout(finish, DOM_QUIET_PERIOD);
             });
+            const timeoutTimer = setTimeout(() => {
+                console.warn(`[Replay] DOM still changing after ${timeout}ms, continuing anyway.`);
+                finish();
+            }, timeout);
+            observer.observe(document, { childList: true, subtree: true, attributes: true, characterData: true });
+            quietTimer = setTimeout(finish, DOM_QUIET_PERIOD);
+        });
+    }
+
+    async function waitForActionable(element, step, timeout) {
+        const isPointerStep = POINTER_STEP_TYPES.includes(step.type);
+        if (isPointerStep || INPUT_STEP_TYPES.includes(step.type)) ensureInViewport(element);
+        const startTime = Date.now();
+        for (;;) {
+            const problem = getActionabilityProblem(element, step) || (isPointerStep ? await getMotionProblem(element) : null);
+            if (!problem) return;
+            if (Date.now() - startTime > timeout) throw new Error(`Element ${step.selector} was not ready after ${timeout}ms: ${problem}.`);
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+
+    // What stops the step's action from landing on the element, or null if nothing does.
+    // Native checkboxes, selects and file inputs are often hidden behind custom controls,
+    // so only text fields have to be visible to be typed into.
+    function getActionabilityProblem(element, step) {
+        if (!element.isConnected) return 'it was removed from the page';
+        if (element.disabled || element.getAttribute('aria-disabled') === 'true') return 'it is disabled';
+        if (step.type === 'change' && element.readOnly) return 'it is read-only';
+        if (!POINTER_STEP_TYPES.includes(step.type) && step.type !== 'change') return null;
+        if (!isElementVisible(element)) return 'it is not visible';
+        if (step.type === 'change') return null;
+        if (isElementAnimating(element)) return 'it is still animating';
+        const cover = getCoveringElement(element);
+        return cover ? `it is covered by ${describeElement(cover)}` : null;
+    }
+
+    // Script-driven movement (a panel sliding in, a smooth scroll) runs no CSS animation.
+    async function getMotionProblem(element) {
+        const before = element.getBoundingClientRect();
+        await new Promise(resolve => setTimeout(resolve, MOTION_SAMPLE_INTERVAL));
+        const after = element.getBoundingClientRect();
+        const moved = ['x', 'y', 'width', 'height'].some(side => before[side] !== after[side]);
+        return moved ? 'it is still moving' : null;
+    }
+
+    // Endless animations (spinners, pulsing highlights) would never finish, so only finite ones count.
+    function isElementAnimating(element) {
+        return element.getAnimations().some(animation =>
+            animation.playState === 'running' && animation.effect.getComputedTiming().endTime !== Infinity);
+    }
+
+    function getCoveringElement(element) {
+        ensureInViewport(element);
+        const rect = element.getBoundingClientRect();
+        const hit = document.elementFromPoint(rect.left + rect.width / 2, rect.top + rect.height / 2);
+        // An ancestor on top means the element ignores pointer events; clickElement still reaches it.
+        if (!hit || element.contains(hit) || hit.contains(element)) return null;
+        return hit;
+    }
+
+    function describeElement(element) {
+        const id = element.id ? `#${element.id}` : '';
+        const classes = Array.from(element.classList).slice(0, 2).map(name => `.${name}`).join('');
+        return `<${element.tagName.toLowerCase()}${id}${classes}>`;
+    }
+
+
+    // --- Target Highlighting ---
+    // Replays driven from the side panel outline each target before acting on it.
+    const HIGHLIGHT_DURATION = 500;
+    let highlightOverlay = null;
+
+    function highlightTarget(element) {
+        clearTargetHighlight();
+        ensureInViewport(element);
+        const rect = element.getBoundingClientRect();
+        highlightOverlay = document.createElement('div');
+        highlightOverlay.style.cssText = 'position:fixed;pointer-events:none;z-index:2147483647;border:2px solid #fd7e14;background:rgba(253,126,20,0.2);';
+        Object.assign(highlightOverlay.style, {
+            left: `${rect.left}px`,
+            top: `${rect.top}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`
+        });
+        document.documentElement.appendChild(highlightOverlay);
+    }
+
+    function clearTargetHighlight() {
+        if (!highlightOverlay) return;
+        highlightOverlay.remove();
+        highlightOverlay = null;
+    }
+
+
+    // --- executeStep ---
+    // Resolves with which locator found the target, so the runner can flag stale primaries.
+    // `timing` is the step's resolved timing (see DEFAULT_TIMING in background.js).
+    async function executeStep(step, timing, highlight) {
+        clearTargetHighlight();
+        if (timing.mode === 'stable') await waitForDomQuiet(timing.timeout);
+        if (step.type === 'assert') return executeAssertion(step, timing.timeout);
+        if (step.type === 'if' || step.type === 'repeat') return evaluateCondition(step, timing.timeout);
+        if (step.type === 'extract') return executeExtraction(step, timing.timeout);
+        if (step.type === 'scroll' && !step.selector) {
+            await scrollToPosition(document.scrollingElement, step, timing.timeout);
+            return {};
+        }
+
+        let target;
+        try {
+            target = await waitForElement(step, timing.timeout);
+        } catch (error) {
+            // Whatever was clicked may have no usable selector at all (custom-drawn controls),
+            // but the spot on the page where it was clicked usually still works.
+            if (step.type === 'click' && step.position) {
+                console.warn(`[Replay] ${error.message}. Falling back to the recorded click position.`);
+                clickAtPagePosition(step.position);
+                return { matchedBy: 'coordinates', stale: true };
+            }
+            throw error;
+        }
+        const { element, locator, stale } = target;
+        const result = { matchedBy: locator.strategy, stale: stale };
+        await waitForActionable(element, step, timing.timeout);
+        if (highlight) {
+            highlightTarget(element);
+            await new Promise(resolve => setTimeout(resolve, HIGHLIGHT_DURATION));
+            clearTargetHighlight();
+        }
 
-        return true; // Indicates an asynchronous response.
+        switch(step.type) {
+            case 'click':
+                if (hoverStyle) emulateCssHover(element);
+                if (step.clickMode === 'coordinates' && step.position) {
+                    clickAtElementOffset(element, step.position);
+                } else {
+                    clickElement(element);
+                }
+                break;
+            case 'change':
+                await typeValue(element, step);
+                break;
+            case 'keypress':
+                pressKey(element, step);
+                break;
+            case 'select':
+                selectOptions(element, step);
+                break;
+            case 'check':
+                setChecked(element, step);
+                break;
+            case 'upload':
+                setPlaceholderFiles(element, step);
+                break;
+            case 'hover':
+                hoverElement(element);
+                break;
+            case 'scroll':
+                await scrollToPosition(element, step, timing.timeout);
+                break;
+            case 'dragdrop': {
+                const drop = await waitForElement({ selector: step.dropSelector, locators: step.dropLocators }, timing.timeout);
+                await dragAndDrop(element, drop.element, step);
+                break;
+            }
+            default:
+                console.warn('Unknown step type during replay:', step.type);
+        }
+        return result;
     }
-});
 
-// --- Smart Wait Function (No changes needed) ---
-function waitForElement(selector, timeout = 7000) { // Increased timeout to 7 seconds
-    return new Promise((resolve, reject) => {
+    // --- Assertions ---
+    // Each check returns { pass, actual }. Checks are retried until they pass or time out,
+    // because pages often update just after the action that precedes an assertion.
+    const ASSERTIONS = {
+        exists: {
+            expectation: step => `"${step.selector}" to exist`,
+            check: () => ({ pass: true })
+        },
+        visible: {
+            expectation: step => `"${step.selector}" to be visible`,
+            check: element => {
+                const visible = isElementVisible(element);
+                return { pass: visible, actual: visible ? 'visible' : 'hidden' };
+            }
+        },
+        textEquals: {
+            expectation: step => `text of "${step.selector}" to equal "${step.expected}"`,
+            check: (element, step) => {
+                const text = getElementText(element);
+                return { pass: text === normalizeText(step.expected), actual: `"${text}"` };
+            }
+        },
+        textContains: {
+            expectation: step => `text of "${step.selector}" to contain "${step.expected}"`,
+            check: (element, step) => {
+                const text = getElementText(element);
+                return { pass: text.includes(normalizeText(step.expected)), actual: `"${text}"` };
+            }
+        },
+        textMatches: {
+            expectation: step => `text of "${step.selector}" to match /${step.expected}/`,
+            check: (element, step) => {
+                const text = getElementText(element);
+                return { pass: new RegExp(step.expected).test(text), actual: `"${text}"` };
+            }
+        },
+        attributeEquals: {
+            expectation: step => `attribute "${step.attribute}" of "${step.selector}" to equal "${step.expected}"`,
+            check: (element, step) => {
+                const value = element.getAttribute(step.attribute);
+                return { pass: value === String(step.expected), actual: value === null ? 'missing' : `"${value}"` };
+            }
+        },
+        valueEquals: {
+            expectation: step => `value of "${step.selector}" to equal "${step.expected}"`,
+            check: (element, step) => ({ pass: element.value === String(step.expected), actual: `"${element.value}"` })
+        }
+    };
+
+    // background.js lists the fields it filled in from secrets in `concealed`; logs and
+    // error messages get a copy with those masked.
+    function concealStep(step) {
+        if (!step.concealed) return step;
+        const shown = { ...step };
+        step.concealed.forEach(field => { shown[field] = '••••••'; });
+        return shown;
+    }
+
+    async function executeAssertion(step, timeout) {
+        switch (step.assertion) {
+            case 'urlMatches':
+                await waitForAssertion(`the URL to match /${step.expected}/`, () => ({
+                    pass: new RegExp(step.expected).test(location.href),
+                    actual: location.href
+                }), timeout);
+                return {};
+            case 'absent': {
+                // Only the primary locator: a loose fallback matching something else must not fail this.
+                const primary = step.locators && step.locators.length > 0 ? step.locators[0] : { strategy: 'css', value: step.selector };
+                await waitForAssertion(`"${step.selector}" to be absent`, () => {
+                    const present = !!findByLocator(primary);
+                    return { pass: !present, actual: present ? 'present' : 'absent' };
+                }, timeout);
+                return {};
+            }
+            case 'count':
+                await waitForAssertion(`${step.expected} element(s) matching "${step.selector}"`, () => {
+                    const count = document.querySelectorAll(step.selector).length;
+                    return { pass: count === Number(step.expected), actual: count };
+                }, timeout);
+                return {};
+        }
+
+        const assertion = ASSERTIONS[step.assertion];
+        if (!assertion) throw new Error(`Unknown assertion "${step.assertion}".`);
+        const expectation = assertion.expectation(concealStep(step));
+        let target;
+        try {
+            target = await waitForElement(step, timeout);
+        } catch (error) {
+            throw new Error(`Assertion failed: expected ${expectation}, but the element was not found.`);
+        }
+        // What a field holds instead of a secret is about as sensitive as the secret itself.
+        await waitForAssertion(expectation, () => assertion.check(target.element, step), timeout, !!step.concealed);
+        return { matchedBy: target.locator.strategy, stale: target.stale };
+    }
+
+    // The condition of an 'if' or 'repeat while' is an assertion allowed to fail: failing
+    // means "no". Anything else that goes wrong (an invalid regex, say) fails the step.
+    async function evaluateCondition(step, timeout) {
+        let met = true;
+        try {
+            await executeAssertion(step, timeout);
+        } catch (error) {
+            if (!error.message.startsWith('Assertion failed')) throw error;
+            met = false;
+        }
+        return { conditionMet: step.negate ? !met : met };
+    }
+
+    function waitForAssertion(expectation, check, timeout, hideActual = false) {
+        return new Promise((resolve, reject) => {
+            const startTime = Date.now();
+            const poll = () => {
+                let outcome;
+                try {
+                    outcome = check();
+                } catch (error) {
+                    reject(new Error(`Assertion could not be evaluated: ${error.message}`));
+                    return;
+                }
+                if (outcome.pass) {
+                    console.log(`[Replay] Assertion passed: ${expectation}`);
+                    resolve();
+                } else if (Date.now() - startTime > timeout) {
+                    reject(new Error(`Assertion failed: expected ${expectation}, but it was ${hideActual ? 'something else' : outcome.actual}.`));
+                } else {
+                    setTimeout(poll, 100);
+                }
+            };
+            poll();
+        });
+    }
+
+    function getElementText(element) {
+        return normalizeText(element.innerText ?? element.textContent);
+    }
+
+    function isElementVisible(element) {
+        if (typeof element.checkVisibility === 'function') {
+            return element.checkVisibility({ checkOpacity: true, checkVisibilityCSS: true });
+        }
+        const style = getComputedStyle(element);
+        return element.getClientRects().length > 0 && style.visibility !== 'hidden' && style.opacity !== '0';
+    }
+
+    // --- Data Extraction ---
+    // Reads what an 'extract' step asks for and hands it back as `extracted`; background.js
+    // stores it in the run's data. 'all' and 'cards' take every element matching the selector,
+    // once the first one has turned up.
+    async function executeExtraction(step, timeout) {
+        const { element, locator, stale } = await waitForElement(step, timeout);
+        const result = { matchedBy: locator.strategy, stale: stale };
+        switch (step.extract) {
+            case 'text':
+                return { ...result, extracted: getElementText(element) };
+            case 'attribute':
+                return { ...result, extracted: readAttribute(element, step.attribute) };
+            case 'all':
+                return {
+                    ...result,
+                    extracted: Array.from(document.querySelectorAll(step.selector))
+                        .map(match => step.attribute ? readAttribute(match, step.attribute) : getElementText(match))
+                };
+            case 'table':
+                return { ...result, extracted: readTableRows(element) };
+            case 'cards':
+                return { ...result, extracted: Array.from(document.querySelectorAll(step.selector)).map(card => readCardFields(card, step.fields || {})) };
+            default:
+                throw new Error(`Unknown extraction "${step.extract}".`);
+        }
+    }
+
+    // The property rather than the attribute for links and fields: absolute URLs, current values.
+    function readAttribute(element, attribute) {
+        if (['href', 'src', 'value'].includes(attribute) && typeof element[attribute] === 'string') return element[attribute];
+        return element.getAttribute(attribute);
+    }
+
+    // One object per body row, keyed by the column headers. Tables without a header row get
+    // "column 1", "column 2"...
+    function readTableRows(element) {
+        const table = element.closest('table');
+        if (!table) throw new Error('The element is not a table, nor inside one.');
+        const rows = Array.from(table.rows);
+        const headerRow = table.tHead && table.tHead.rows.length > 0
+            ? table.tHead.rows[table.tHead.rows.length - 1]
+            : rows.find(row => row.cells.length > 0 && Array.from(row.cells).every(cell => cell.tagName === 'TH'));
+        const headers = headerRow ? Array.from(headerRow.cells).map(getElementText) : [];
+        return rows
+            .filter(row => row !== headerRow && !(table.tHead && table.tHead.contains(row)) && row.cells.length > 0)
+            .map(row => Object.fromEntries(Array.from(row.cells).map((cell, index) => [headers[index] || `column ${index + 1}`, getElementText(cell)])));
+    }
+
+    // Fields are sub-selectors within the card, optionally ending in @attribute ("a@href");
+    // an empty sub-selector means the card itself. Missing elements give null.
+    function readCardFields(card, fields) {
+        const record = {};
+        for (const [name, spec] of Object.entries(fields)) {
+            const [, selector, attribute] = String(spec).match(/^(.*?)(?:@([\w:-]+))?$/);
+            const element = selector.trim() ? card.querySelector(selector) : card;
+            if (!element) record[name] = null;
+            else record[name] = attribute ? readAttribute(element, attribute) : getElementText(element);
+        }
+        return record;
+    }
+
+    // --- Pointer Replay ---
+    // Clicks are the full sequence a mouse produces, aimed at real coordinates: components
+    // that listen for pointerdown or mouseup never hear element.click(). Coordinate clicks
+    // (canvas, map widgets) aim at the recorded spot; others at the element's center.
+    function clickElement(element) {
+        ensureInViewport(element);
+        const { x, y } = getElementCenter(element);
+        // Prefer whatever is actually on top there (the label text inside a button, say).
+        const target = document.elementFromPoint(x, y);
+        dispatchPointerClick(target && element.contains(target) ? target : element, x, y);
+    }
+
+    function clickAtElementOffset(element, position) {
+        ensureInViewport(element);
+        const rect = element.getBoundingClientRect();
+        const scaleX = position.width ? rect.width / position.width : 1;
+        const scaleY = position.height ? rect.height / position.height : 1;
+        const x = rect.left + position.offsetX * scaleX;
+        const y = rect.top + position.offsetY * scaleY;
+        // Prefer whatever is actually on top at that spot (an overlay inside the widget, say).
+        const target = document.elementFromPoint(x, y);
+        dispatchPointerClick(target && element.contains(target) ? target : element, x, y);
+    }
+
+    function clickAtPagePosition(position) {
+        let x = position.pageX - window.scrollX;
+        let y = position.pageY - window.scrollY;
+        if (x < 0 || y < 0 || x >= window.innerWidth || y >= window.innerHeight) {
+            window.scrollTo(position.pageX - window.innerWidth / 2, position.pageY - window.innerHeight / 2);
+            x = position.pageX - window.scrollX;
+            y = position.pageY - window.scrollY;
+        }
+        const target = document.elementFromPoint(x, y);
+        if (!target) throw new Error(`Nothing to click at recorded position (${position.pageX}, ${position.pageY}).`);
+        dispatchPointerClick(target, x, y);
+    }
+
+    function ensureInViewport(element) {
+        const rect = element.getBoundingClientRect();
+        if (rect.top < 0 || rect.left < 0 || rect.bottom > window.innerHeight || rect.right > window.innerWidth) {
+            element.scrollIntoView({ block: 'center', inline: 'center' });
+        }
+    }
+
+    const POINTER_FIELDS = { pointerId: 1, pointerType: 'mouse', isPrimary: true };
+    const FOCUSABLE_SELECTOR = 'a[href], button, input, select, textarea, [tabindex], [contenteditable="true"]';
+
+    function createMouseInit(x, y) {
+        return {
+            clientX: x,
+            clientY: y,
+            screenX: window.screenX + x,
+            screenY: window.screenY + y,
+            button: 0,
+            bubbles: true,
+            cancelable: true,
+            composed: true,
+            view: window
+        };
+    }
+
+    function getElementCenter(element) {
+        const rect = element.getBoundingClientRect();
+        return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+    }
+
+    // Follows the browser's rules: a cancelled pointerdown suppresses the mouse events of
+    // the press, and a cancelled mousedown keeps focus where it was. The click itself always
+    // fires, and does what a real one does (follow the link, toggle the box, submit the form).
+    function dispatchPointerClick(target, x, y) {
+        const init = createMouseInit(x, y);
+        const pointerInit = { ...init, ...POINTER_FIELDS };
+        const pressInit = { ...init, detail: 1 };
+
+        target.dispatchEvent(new PointerEvent('pointerover', pointerInit));
+        target.dispatchEvent(new MouseEvent('mouseover', init));
+        target.dispatchEvent(new PointerEvent('pointermove', pointerInit));
+        target.dispatchEvent(new MouseEvent('mousemove', init));
+        const mouseEvents = target.dispatchEvent(new PointerEvent('pointerdown', { ...pointerInit, buttons: 1 }));
+        if (mouseEvents && target.dispatchEvent(new MouseEvent('mousedown', { ...pressInit, buttons: 1 }))) focusOnPress(target);
+        target.dispatchEvent(new PointerEvent('pointerup', pointerInit));
+        if (mouseEvents) target.dispatchEvent(new MouseEvent('mouseup', pressInit));
+        target.dispatchEvent(new MouseEvent('click', pressInit));
+    }
+
+    // Pressing the mouse focuses what was pressed, or its nearest focusable ancestor;
+    // pressing anything else takes focus away from the focused field.
+    function focusOnPress(target) {
+        const focusable = target.closest(FOCUSABLE_SELECTOR);
+        if (focusable) {
+            focusable.focus({ preventScroll: true });
+        } else if (document.activeElement && document.activeElement !== document.body) {
+            document.activeElement.blur();
+        }
+    }
+
+    // --- Typing Replay ---
+    // Text goes in a key at a time (keydown, keypress, beforeinput, input, keyup), replacing
+    // what the field held, so per-keystroke handlers (autocomplete, masks, validation) run.
+    // A step's `typingDelay` waits that many ms between keys. Fields without a text cursor
+    // (dates, colors, ranges) take the whole value at once, as their pickers do.
+    const WHOLE_VALUE_INPUT_TYPES = ['date', 'datetime-local', 'month', 'week', 'time', 'color', 'range'];
+
+    async function typeValue(element, step) {
+        const value = String(step.value ?? '');
+        if (element.isContentEditable) {
+            await typeIntoEditable(element, value, Number(step.typingDelay) || 0);
+        } else if (typeof element.value === 'undefined') {
+            throw new Error(`Cannot type into ${describeElement(element)}: it is not a field or editable.`);
+        } else if (element.tagName === 'SELECT' || WHOLE_VALUE_INPUT_TYPES.includes(element.type)) {
+            element.focus();
+            setNativeValue(element, value);
+            dispatchInputEvents(element);
+        } else {
+            await typeIntoField(element, value, Number(step.typingDelay) || 0);
+        }
+        // Moving on from the field, as the user did; blur is where many forms validate.
+        if (document.activeElement === element) element.blur();
+    }
+
+    async function typeIntoField(element, value, delay) {
+        element.focus();
+        if (element.value !== '') {
+            if (typeof element.select === 'function') element.select();
+            if (dispatchBeforeInput(element, 'deleteContentBackward', null)) {
+                setNativeValue(element, '');
+                element.dispatchEvent(new InputEvent('input', { inputType: 'deleteContentBackward', bubbles: true, composed: true }));
+            }
+        }
+        // What was typed so far; number fields read back '' while half-typed ("-").
+        let typed = '';
+        for (const char of value) {
+            const lineBreak = char === '\n';
+            if (pressCharacterKey(element, char) && dispatchBeforeInput(element, lineBreak ? 'insertLineBreak' : 'insertText', lineBreak ? null : char)) {
+                const full = element.maxLength >= 0 && typed.length >= element.maxLength;
+                if (!full) {
+                    typed += char;
+                    setNativeValue(element, typed);
+                    element.dispatchEvent(new InputEvent('input', {
+                        inputType: lineBreak ? 'insertLineBreak' : 'insertText', data: lineBreak ? null : char, bubbles: true, composed: true
+                    }));
+                }
+            }
+            element.dispatchEvent(new KeyboardEvent('keyup', createCharacterKeyInit(char)));
+            if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+        }
+        element.dispatchEvent(new Event('change', { bubbles: true, composed: true }));
+    }
+
+    // Rich text editors listen to beforeinput and the selection, which execCommand drives
+    // the way typing does (it fires beforeinput and input itself).
+    async function typeIntoEditable(element, value, delay) {
+        element.focus();
+        window.getSelection().selectAllChildren(element);
+        if (element.textContent !== '') document.execCommand('delete');
+        for (const char of value) {
+            if (pressCharacterKey(element, char)) {
+                document.execCommand(char === '\n' ? 'insertLineBreak' : 'insertText', false, char);
+            }
+            element.dispatchEvent(new KeyboardEvent('keyup', createCharacterKeyInit(char)));
+            if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    // keydown and keypress; false if the page cancelled either, which stops the character.
+    function pressCharacterKey(element, char) {
+        const init = createCharacterKeyInit(char);
+        if (!element.dispatchEvent(new KeyboardEvent('keydown', init))) return false;
+        return element.dispatchEvent(new KeyboardEvent('keypress', { ...init, charCode: char === '\n' ? 13 : char.codePointAt(0) }));
+    }
+
+    function dispatchBeforeInput(element, inputType, data) {
+        return element.dispatchEvent(new InputEvent('beforeinput', { inputType: inputType, data: data, bubbles: true, cancelable: true, composed: true }));
+    }
+
+    function createCharacterKeyInit(char) {
+        if (char === '\n') return { key: 'Enter', code: 'Enter', keyCode: 13, which: 13, bubbles: true, cancelable: true, composed: true };
+        const upper = char.toUpperCase();
+        let code = '';
+        if (/^[a-z]$/i.test(char)) code = `Key${upper}`;
+        else if (/^\d$/.test(char)) code = `Digit${char}`;
+        else if (char === ' ') code = 'Space';
+        const keyCode = code ? upper.charCodeAt(0) : 0;
+        return {
+            key: char,
+            code: code,
+            keyCode: keyCode,
+            which: keyCode,
+            shiftKey: char !== char.toLowerCase(),
+            bubbles: true,
+            cancelable: true,
+            composed: true
+        };
+    }
+
+    // Frameworks that control a field (React does) may shadow its `value` setter on the
+    // element to track what their own code set; a change made through that setter reads as
+    // no change at all. The setter on the prototype always reaches the field itself.
+    function setNativeValue(element, value) {
+        let prototype = Object.getPrototypeOf(element);
+        let descriptor;
+        while (prototype && !(descriptor = Object.getOwnPropertyDescriptor(prototype, 'value'))) prototype = Object.getPrototypeOf(prototype);
+        if (descriptor && descriptor.set) descriptor.set.call(element, value);
+        else element.value = value;
+    }
+
+    // --- Form Control Replay ---
+    function dispatchInputEvents(element) {
+        element.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+        element.dispatchEvent(new Event('change', { bubbles: true, composed: true }));
+    }
+
+    // Options are matched by value, then by label, so either can be edited on its own.
+    // Multi-selects record arrays of both.
+    function selectOptions(element, step) {
+        if (element.tagName !== 'SELECT') throw new Error(`Cannot select an option in ${describeElement(element)}.`);
+        const values = [].concat(step.value ?? []);
+        const labels = [].concat(step.label ?? []);
+        const options = Array.from(element.options);
+        const wanted = Array.from({ length: Math.max(values.length, labels.length) }, (_, i) => {
+            const byValue = values[i] ? options.find(option => option.value === String(values[i])) : null;
+            return byValue || options.find(option => normalizeText(option.text) === labels[i])
+                || options.find(option => option.value === String(values[i] ?? ''));
+        });
+        const missing = wanted.findIndex(option => !option);
+        if (missing !== -1) {
+            throw new Error(`No option with value "${values[missing] ?? ''}" or label "${labels[missing] ?? ''}" in ${step.selector}.`);
+        }
+        if (element.multiple) {
+            options.forEach(option => { option.selected = wanted.includes(option); });
+        } else if (wanted.length > 0) {
+            setNativeValue(element, wanted[0].value);
+        }
+        dispatchInputEvents(element);
+    }
+
+    // Toggled with a click, the way a user does it, so the page's own handlers run.
+    // Custom checkboxes (role="checkbox") report their state through aria-checked.
+    function setChecked(element, step) {
+        const isChecked = () => element.checked ?? element.getAttribute('aria-checked') === 'true';
+        if (isChecked() === step.checked) return;
+        if (element.type === 'radio' && !step.checked) {
+            throw new Error(`Radio button ${step.selector} cannot be unchecked; check another option instead.`);
+        }
+        clickElement(element);
+        if (isChecked() !== step.checked) {
+            throw new Error(`Clicking ${step.selector} did not ${step.checked ? 'check' : 'uncheck'} it.`);
+        }
+    }
+
+    // The recorded files stay on the recording machine, so replay uploads stand-ins with the
+    // same names and types, holding the step's placeholder content.
+    function setPlaceholderFiles(element, step) {
+        if (element.tagName !== 'INPUT' || element.type !== 'file') {
+            throw new Error(`Cannot upload files to ${describeElement(element)}.`);
+        }
+        const dataTransfer = new DataTransfer();
+        (step.files || []).forEach(file => {
+            dataTransfer.items.add(new File([step.content ?? ''], file.name, { type: file.type || 'text/plain' }));
+        });
+        element.files = dataTransfer.files;
+        dispatchInputEvents(element);
+    }
+
+    // --- Hover Replay ---
+    // Synthetic mouse events reach script listeners but never switch on CSS :hover, so menus
+    // styled with it would stay shut. Every :hover rule is copied with the pseudo-class
+    // swapped for an attribute, which goes on the hovered element and its ancestors. Later
+    // clicks move it along, as moving the real pointer would.
+    const HOVER_ATTRIBUTE = 'data-replicate-operator-hover';
+    let hoverStyle = null;
+
+    function hoverElement(element) {
+        ensureInViewport(element);
+        const { x, y } = getElementCenter(element);
+        const init = createMouseInit(x, y);
+        element.dispatchEvent(new PointerEvent('pointerover', { ...init, ...POINTER_FIELDS }));
+        element.dispatchEvent(new MouseEvent('mouseover', init));
+        // Enter events don't bubble; the pointer enters each ancestor on its way in.
+        const path = [];
+        for (let node = element; node; node = node.parentElement) path.unshift(node);
+        path.forEach(node => {
+            node.dispatchEvent(new PointerEvent('pointerenter', { ...init, ...POINTER_FIELDS, bubbles: false }));
+            node.dispatchEvent(new MouseEvent('mouseenter', { ...init, bubbles: false }));
+        });
+        element.dispatchEvent(new PointerEvent('pointermove', { ...init, ...POINTER_FIELDS }));
+        element.dispatchEvent(new MouseEvent('mousemove', init));
+        emulateCssHover(element);
+    }
+
+    function emulateCssHover(element) {
+        if (!hoverStyle || !hoverStyle.isConnected) {
+            hoverStyle = document.createElement('style');
+            document.documentElement.appendChild(hoverStyle);
+        }
+        const rules = collectHoverRules();
+        if (hoverStyle.textContent !== rules) hoverStyle.textContent = rules;
+        document.querySelectorAll(`[${HOVER_ATTRIBUTE}]`).forEach(node => node.removeAttribute(HOVER_ATTRIBUTE));
+        for (let node = element; node; node = node.parentElement) node.setAttribute(HOVER_ATTRIBUTE, '');
+    }
+
+    // The page's :hover rules rewritten for HOVER_ATTRIBUTE. Every replayed click emulates a
+    // hover, so they are kept until a stylesheet is added, removed, replaced or gains or loses
+    // rules (as content_script.js does for its hover triggers).
+    let hoverRuleCache = null;
+
+    function collectHoverRules() {
+        const sheets = Array.from(document.styleSheets).filter(sheet => sheet.ownerNode !== hoverStyle);
+        const ruleCounts = sheets.map(sheet => {
+            try { return sheet.cssRules.length; } catch (e) { return -1; } // Cross-origin stylesheets can't be read
+        });
+        const cache = hoverRuleCache;
+        if (cache && cache.sheets.length === sheets.length
+            && sheets.every((sheet, i) => sheet === cache.sheets[i] && ruleCounts[i] === cache.ruleCounts[i])) {
+            return cache.text;
+        }
+
+        const visit = (rules) => Array.from(rules).map(rule => {
+            if (rule instanceof CSSMediaRule) return `@media ${rule.conditionText} {\n${visit(rule.cssRules)}\n}`;
+            if (rule.selectorText && rule.selectorText.includes(':hover')) {
+                return rule.cssText.replaceAll(':hover', `[${HOVER_ATTRIBUTE}]`);
+            }
+            return rule.cssRules ? visit(rule.cssRules) : '';
+        }).filter(Boolean).join('\n');
+        const text = sheets.map((sheet, i) => ruleCounts[i] === -1 ? '' : visit(sheet.cssRules)).join('\n');
+        hoverRuleCache = { sheets: sheets, ruleCounts: ruleCounts, text: text };
+        return text;
+    }
+
+    // --- Scroll Replay ---
+    // Infinite lists only grow as they are scrolled, so keep scrolling until the recorded
+    // position exists. A shorter page (a bigger window, less data) is not a failure.
+    async function scrollToPosition(scroller, step, timeout) {
         const startTime = Date.now();
-        const intervalId = setInterval(() => {
-            const element = document.querySelector(selector);
-            if (element) {
-                clearInterval(intervalId);
-                console.log(`[Replay] Element found for selector: ${selector}`);
-                resolve(element);
-            } else if (Date.now() - startTime > timeout) {
-                clearInterval(intervalId);
-                reject(new Error(`Element not found for selector: ${selector}`));
+        for (;;) {
+            scroller.scrollTo({ left: step.x, top: step.y, behavior: 'instant' });
+            if (Math.abs(scroller.scrollLeft - step.x) <= 1 && Math.abs(scroller.scrollTop - step.y) <= 1) return;
+            if (Date.now() - startTime > timeout) {
+                console.warn(`[Replay] Could only scroll ${step.selector || 'the page'} to (${scroller.scrollLeft}, ${scroller.scrollTop}), not (${step.x}, ${step.y}).`);
+                return;
             }
-        }, 100);
-    });
-}
-
-
-// --- executeStep (No changes needed in logic, but its context is now correct) ---
-async function executeStep(step) {
-    const element = await waitForElement(step.selector);
-    
-    switch(step.type) {
-        case 'click':
-            element.click();
-            break;
-        case 'change':
-            if (typeof element.value !== 'undefined') {
-                element.value = step.value;
-            } else if (element.isContentEditable) {
-                element.innerText = step.value;
-            } else {
-                throw new Error(`Cannot set value on a non-input, non-contenteditable element.`);
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+    }
+
+    // --- Drag and Drop Replay ---
+    // HTML5 drags get the drag events around one DataTransfer. Libraries that drag with mouse
+    // events get the button pressed on the source, moves towards the drop point (spread out
+    // in time, since many only react on the next frame) and the release over the target.
+    const DRAG_MOVES = 10;
+    const DRAG_MOVE_INTERVAL = 16;
+
+    async function dragAndDrop(source, dropTarget, step) {
+        ensureInViewport(dropTarget);
+        const rect = dropTarget.getBoundingClientRect();
+        const offset = step.dropPosition || { offsetX: rect.width / 2, offsetY: rect.height / 2 };
+        const to = {
+            x: rect.left + Math.min(offset.offsetX, rect.width - 1),
+            y: rect.top + Math.min(offset.offsetY, rect.height - 1)
+        };
+        const from = getElementCenter(source);
+
+        if (step.dragMode === 'html5') {
+            const dataTransfer = new DataTransfer();
+            const fire = (target, type, point) =>
+                target.dispatchEvent(new DragEvent(type, { ...createMouseInit(point.x, point.y), dataTransfer: dataTransfer }));
+            if (!fire(source, 'dragstart', from)) throw new Error(`The page refused to start dragging ${step.selector}.`);
+            fire(dropTarget, 'dragenter', to);
+            fire(dropTarget, 'dragover', to);
+            fire(dropTarget, 'drop', to);
+            fire(source, 'dragend', to);
+            return;
+        }
+
+        const press = createMouseInit(from.x, from.y);
+        source.dispatchEvent(new PointerEvent('pointerdown', { ...press, ...POINTER_FIELDS, buttons: 1 }));
+        source.dispatchEvent(new MouseEvent('mousedown', { ...press, buttons: 1 }));
+        for (let i = 1; i <= DRAG_MOVES; i++) {
+            await new Promise(resolve => setTimeout(resolve, DRAG_MOVE_INTERVAL));
+            const x = from.x + (to.x - from.x) * i / DRAG_MOVES;
+            const y = from.y + (to.y - from.y) * i / DRAG_MOVES;
+            const move = createMouseInit(x, y);
+            const under = document.elementFromPoint(x, y) || document.documentElement;
+            under.dispatchEvent(new PointerEvent('pointermove', { ...move, ...POINTER_FIELDS, buttons: 1 }));
+            under.dispatchEvent(new MouseEvent('mousemove', { ...move, buttons: 1 }));
+        }
+        const release = createMouseInit(to.x, to.y);
+        const hit = document.elementFromPoint(to.x, to.y) || dropTarget;
+        hit.dispatchEvent(new PointerEvent('pointerup', { ...release, ...POINTER_FIELDS }));
+        hit.dispatchEvent(new MouseEvent('mouseup', release));
+    }
+
+    // --- Keyboard Replay ---
+    // Dispatches the keydown/keypress/keyup sequence a real key press produces. Synthetic
+    // key events never trigger the browser's default action, so the ones flows rely on
+    // (Enter submitting a form, Tab moving focus) are performed here when not prevented.
+    function pressKey(element, step) {
+        const modifiers = step.modifiers || {};
+        const init = {
+            key: step.key,
+            code: step.code,
+            keyCode: step.keyCode || 0,
+            which: step.keyCode || 0,
+            ctrlKey: !!modifiers.ctrl,
+            shiftKey: !!modifiers.shift,
+            altKey: !!modifiers.alt,
+            metaKey: !!modifiers.meta,
+            bubbles: true,
+            cancelable: true,
+            composed: true
+        };
+
+        if (typeof element.focus === 'function') element.focus();
+
+        let proceed = element.dispatchEvent(new KeyboardEvent('keydown', init));
+        const producesCharacter = step.key === 'Enter' || (step.key.length === 1 && !init.ctrlKey && !init.altKey && !init.metaKey);
+        if (proceed && producesCharacter) {
+            const charCode = step.key === 'Enter' ? 13 : step.key.charCodeAt(0);
+            proceed = element.dispatchEvent(new KeyboardEvent('keypress', { ...init, charCode: charCode }));
+        }
+        if (proceed) performKeyDefault(element, step.key, init.shiftKey);
+        element.dispatchEvent(new KeyboardEvent('keyup', init));
+    }
+
+    function performKeyDefault(element, key, shiftKey) {
+        if (key === 'Enter') {
+            if (element.tagName === 'INPUT' && element.form) {
+                // Implicit submission, same as the browser does for Enter in a text field.
+                element.form.requestSubmit();
+            } else if (['BUTTON', 'A'].includes(element.tagName)) {
+                element.click();
             }
-            element.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
-            element.dispatchEvent(new Event('change', { bubbles: true, composed: true }));
-            element.dispatchEvent(new Event('blur', { bubbles: true, composed: true }));
-            break;
-        default:
-            console.warn('Unknown step type during replay:', step.type);
+        } else if (key === 'Tab') {
+            moveFocus(element, shiftKey ? -1 : 1);
+        }
+    }
+
+    function moveFocus(element, direction) {
+        const focusable = Array.from(document.querySelectorAll(FOCUSABLE_SELECTOR)).filter(el => !el.disabled && el.tabIndex >= 0 && el.getClientRects().length > 0);
+        const index = focusable.indexOf(element);
+        const next = focusable[index + direction];
+        if (next) next.focus();
     }
 }
\ No newline at end of file
@@ -0,0 +1,68 @@
+// =================================================================================
+// Replicate Operator - report.js (Run Report to Standalone HTML)
+// =================================================================================
+//
+// Loaded by the side panel before sidepanel.js. Turns a stored run report into a single
+// HTML file, screenshots embedded as data URLs, that opens anywhere without the extension.
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatDuration(ms) {
+    if (ms == null) return '-';
+    return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+// `describeStep` renders a recorded step as one line, the way the side panel shows it.
+function generateHtmlReport(report, describeStep) {
+    const rows = report.steps.map(stepReport => `
+        <tr class="${escapeHtml(stepReport.status)}">
+            <td>${stepReport.index + 1}</td>
+            <td>${escapeHtml(describeStep(stepReport.step))}</td>
+            <td>${escapeHtml(stepReport.status)}</td>
+            <td>${formatDuration(stepReport.duration)}</td>
+            <td>${stepReport.status === 'skipped' ? '' : escapeHtml(stepReport.frameId ? `${stepReport.frameId} (${stepReport.step.frameUrl || 'sub-frame'})` : 'main')}</td>
+            <td>${escapeHtml(stepReport.matchedBy || '')}</td>
+            <td>${escapeHtml([stepReport.note, stepReport.error].filter(Boolean).join(' - '))}${stepReport.screenshot ? `<br><img src="${escapeHtml(stepReport.screenshot)}" alt="Screenshot after step ${stepReport.index + 1}">` : ''}</td>
+        </tr>`).join('');
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(`Run report: ${report.flowName}`)}</title>
+<style>
+    body { font-family: sans-serif; font-size: 14px; margin: 20px; color: #333; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ddd; padding: 6px; text-align: left; vertical-align: top; }
+    th { background-color: #f4f4f4; }
+    tr.success td:nth-child(3) { color: #28a745; }
+    tr.error td:nth-child(3), .status-error { color: #dc3545; }
+    tr.skipped { color: #999; }
+    .status-success { color: #28a745; }
+    img { max-width: 480px; margin-top: 6px; border: 1px solid #ddd; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.flowName)}</h1>
+<p>
+    Status: <strong class="status-${escapeHtml(report.status)}">${escapeHtml(report.status)}</strong>${report.message ? ` - ${escapeHtml(report.message)}` : ''}<br>
+    Trigger: ${escapeHtml(report.trigger)}<br>
+    Started: ${escapeHtml(new Date(report.startedAt).toLocaleString())}<br>
+    Finished: ${report.finishedAt ? escapeHtml(new Date(report.finishedAt).toLocaleString()) : '-'}
+    (${formatDuration(report.finishedAt && report.finishedAt - report.startedAt)})
+</p>
+<table>
+    <thead><tr><th>#</th><th>Step</th><th>Status</th><th>Duration</th><th>Frame</th><th>Matched by</th><th>Details</th></tr></thead>
+    <tbody>${rows}
+    </tbody>
+</table>
+</body>
+</html>
+`;
+}
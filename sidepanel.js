@@ -12,8 +12,376 @@ document.addEventListener('DOMContentLoaded', () => {
     const liveStepsList = document.getElementById('live-steps-list');
     const savedFlowsList = document.getElementById('saved-flows-list');
     const runBtn = document.getElementById('run-flow-btn');
+    const debugBtn = document.getElementById('debug-flow-btn');
     const displayBtn = document.getElementById('display-flow-btn');
     const deleteBtn = document.getElementById('delete-flow-btn');
+    const scheduleBtn = document.getElementById('schedule-flow-btn');
+    const scheduleForm = document.getElementById('schedule-form');
+    const scheduleFlowName = document.getElementById('schedule-flow-name');
+    const scheduleDailyOptions = document.getElementById('schedule-daily-options');
+    const scheduleIntervalOptions = document.getElementById('schedule-interval-options');
+    const scheduleTimeInput = document.getElementById('schedule-time');
+    const scheduleDays = document.getElementById('schedule-days');
+    const scheduleIntervalInput = document.getElementById('schedule-interval');
+    const saveScheduleBtn = document.getElementById('save-schedule-btn');
+    const cancelScheduleBtn = document.getElementById('cancel-schedule-btn');
+    const schedulesList = document.getElementById('schedules-list');
+    const exportBtn = document.getElementById('export-flow-btn');
+    const puppeteerScriptBtn = document.getElementById('puppeteer-script-btn');
+    const playwrightScriptBtn = document.getElementById('playwright-script-btn');
+    const exportAllBtn = document.getElementById('export-all-btn');
+    const importBtn = document.getElementById('import-flows-btn');
+    const importFileInput = document.getElementById('import-file-input');
+    const editBtn = document.getElementById('edit-flow-btn');
+    const renameBtn = document.getElementById('rename-flow-btn');
+    const duplicateBtn = document.getElementById('duplicate-flow-btn');
+    const detailsBtn = document.getElementById('flow-details-btn');
+    const flowSearchInput = document.getElementById('flow-search-input');
+    const flowSortSelect = document.getElementById('flow-sort-select');
+    const runTargetSelect = document.getElementById('run-target-select');
+    const runEnvironmentSelect = document.getElementById('run-environment-select');
+    const environmentsList = document.getElementById('environments-list');
+    const environmentForm = document.getElementById('environment-form');
+    const environmentNameInput = document.getElementById('environment-name');
+    const environmentRewritesInput = document.getElementById('environment-rewrites');
+    const addEnvironmentBtn = document.getElementById('add-environment-btn');
+    const saveEnvironmentBtn = document.getElementById('save-environment-btn');
+    const cancelEnvironmentBtn = document.getElementById('cancel-environment-btn');
+    const detailsView = document.getElementById('details-view');
+    const detailsFlowNameLabel = document.getElementById('details-flow-name');
+    const detailsInfo = document.getElementById('details-info');
+    const detailsDescription = document.getElementById('details-description');
+    const detailsFolder = document.getElementById('details-folder');
+    const detailsFolderOptions = document.getElementById('details-folder-options');
+    const detailsTags = document.getElementById('details-tags');
+    const detailsSaveBtn = document.getElementById('details-save-btn');
+    const detailsBackBtn = document.getElementById('details-back-btn');
+    const detailsVersionsList = document.getElementById('details-versions');
+    const detailsDiff = document.getElementById('details-diff');
+    const libraryView = document.getElementById('library-view');
+    const editorView = document.getElementById('editor-view');
+    const editorFlowName = document.getElementById('editor-flow-name');
+    const editorStepsList = document.getElementById('editor-steps');
+    const editorInsertType = document.getElementById('editor-insert-type');
+    const editorAddStepBtn = document.getElementById('editor-add-step-btn');
+    const editorExtractBtn = document.getElementById('editor-extract-btn');
+    const editorSaveBtn = document.getElementById('editor-save-btn');
+    const editorCancelBtn = document.getElementById('editor-cancel-btn');
+    const editorVariablesList = document.getElementById('editor-variables-list');
+    const editorAddVariableBtn = document.getElementById('editor-add-variable-btn');
+    const editorTimingMode = document.getElementById('editor-timing-mode');
+    const editorTimingTimeout = document.getElementById('editor-timing-timeout');
+    const editorTimingDelay = document.getElementById('editor-timing-delay');
+    const editorTimingDelayField = document.getElementById('editor-timing-delay-field');
+    const runDataBtn = document.getElementById('run-data-btn');
+    const dataFileInput = document.getElementById('data-file-input');
+    const dataRunSummary = document.getElementById('data-run-summary');
+    const dataRunTitle = document.getElementById('data-run-title');
+    const dataRunResults = document.getElementById('data-run-results');
+    const dataRunDownloads = document.getElementById('data-run-downloads');
+    const dataRunCsvBtn = document.getElementById('data-run-csv-btn');
+    const dataRunJsonBtn = document.getElementById('data-run-json-btn');
+    const runHistoryList = document.getElementById('run-history-list');
+    const clearHistoryBtn = document.getElementById('clear-history-btn');
+    const screenshotSetting = document.getElementById('screenshot-every-step-setting');
+    const secretsStatus = document.getElementById('secrets-status');
+    const secretsList = document.getElementById('secrets-list');
+    const sensitiveSelectorSetting = document.getElementById('sensitive-selector-setting');
+    const externalCallersSetting = document.getElementById('external-callers-setting');
+    const externalSecretCallersSetting = document.getElementById('external-secret-callers-setting');
+    const extensionIdLabel = document.getElementById('extension-id');
+    const secretsUnlockBtn = document.getElementById('secrets-unlock-btn');
+    const secretsLockBtn = document.getElementById('secrets-lock-btn');
+    const secretsAddBtn = document.getElementById('secrets-add-btn');
+    const secretsForgetBtn = document.getElementById('secrets-forget-btn');
+    const secretPromptForm = document.getElementById('secret-prompt');
+    const secretPromptLabel = document.getElementById('secret-prompt-label');
+    const secretPromptInput = document.getElementById('secret-prompt-input');
+    const secretPromptCancelBtn = document.getElementById('secret-prompt-cancel-btn');
+    const reportView = document.getElementById('report-view');
+    const reportTitle = document.getElementById('report-title');
+    const reportSummary = document.getElementById('report-summary');
+    const reportStepsList = document.getElementById('report-steps');
+    const reportExportBtn = document.getElementById('report-export-btn');
+    const reportCsvBtn = document.getElementById('report-csv-btn');
+    const reportJsonBtn = document.getElementById('report-json-btn');
+    const reportDeleteBtn = document.getElementById('report-delete-btn');
+    const reportBackBtn = document.getElementById('report-back-btn');
+    const replayControls = document.getElementById('replay-controls');
+    const replayStatus = document.getElementById('replay-status');
+    const replayPauseBtn = document.getElementById('replay-pause-btn');
+    const replayStepBtn = document.getElementById('replay-step-btn');
+    const replayStopBtn = document.getElementById('replay-stop-btn');
+    const replayCloseBtn = document.getElementById('replay-close-btn');
+    const replaySpeed = document.getElementById('replay-speed');
+    const replayStepsList = document.getElementById('replay-steps');
+
+    // The run report open in the report view, if any.
+    let openReport = null;
+    // The data-driven run the summary shows: { flowName, results }.
+    let dataRun = null;
+    // The flow open in the details view, and its versions (newest first), if any.
+    let detailsFlowName = null;
+    let detailsVersions = [];
+    // Names of the saved flows as last listed, for picking the flow a 'callFlow' step runs.
+    let savedFlowNames = [];
+    // Environment profiles as last loaded, and the one the form is editing (null for a new one).
+    let environments = [];
+    let editingEnvironmentId = null;
+    // Settles the question the secret prompt is asking, if any (see askForSecretInput).
+    let secretPromptResolve = null;
+    // Last state of the replay the control bar shows (see createReplayController in background.js).
+    let replayState = null;
+
+    // What each assertion kind checks and which extra fields it needs.
+    const ASSERTION_KINDS = {
+        exists: { label: 'element exists' },
+        absent: { label: 'element is absent' },
+        visible: { label: 'element is visible' },
+        textEquals: { label: 'text equals', expected: true },
+        textContains: { label: 'text contains', expected: true },
+        textMatches: { label: 'text matches regex', expected: true, regex: true },
+        attributeEquals: { label: 'attribute equals', expected: true, attribute: true },
+        valueEquals: { label: 'value equals', expected: true },
+        count: { label: 'element count is', expected: true },
+        urlMatches: { label: 'URL matches regex', expected: true, regex: true, noSelector: true }
+    };
+    // What an extract step can read (see executeExtraction in replay_script.js).
+    const EXTRACTION_KINDS = {
+        text: { label: 'text' },
+        attribute: { label: 'attribute', attribute: true },
+        all: { label: 'text of all matches', optionalAttribute: true },
+        table: { label: 'table rows' },
+        cards: { label: 'list of cards', fields: true }
+    };
+
+    // --- Step Editor State ---
+    // The editor works on a deep copy; nothing reaches storage until Save passes validation.
+    let editorSteps = [];
+    let editorVariables = {};
+    let editorTiming = {};
+    let pickingStepIndex = null;
+    // Same syntax background.js substitutes at run time.
+    const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+    const VARIABLE_FIELDS = ['url', 'value', 'expected'];
+    // Same syntax and fields as SECRET_PATTERN / SECRET_FIELDS in background.js.
+    const SECRET_PATTERN = /\{\{\s*secret:([\w.-]+)\s*\}\}/g;
+    const SECRET_FIELDS = ['value', 'expected'];
+    const SELECTOR_FIELD = { name: 'selector', label: 'Selector' };
+    const FRAME_FIELD = { name: 'frameId', label: 'Frame', type: 'number' };
+    // Tabs the flow opened are numbered in order of opening; the tab it starts in is 0.
+    const TAB_FIELD = { name: 'tabRef', label: 'Tab', type: 'number', optional: true, placeholder: '0 (first tab)' };
+    // Same defaults background.js applies to flows that never set their timing.
+    const DEFAULT_TIMING = { mode: 'stable', timeout: 7000, delay: 500 };
+    const TIMING_MODES = [['stable', 'wait for a stable page'], ['fixed', 'fixed delay'], ['recorded', 'recorded timing']];
+    // Per-step overrides of the flow's timing; left empty, the flow's setting applies.
+    const TIMING_FIELDS = [
+        { name: 'timingMode', label: 'Timing', type: 'select', optional: true, options: [['', 'flow default'], ...TIMING_MODES] },
+        { name: 'timeout', label: 'Timeout (ms)', type: 'number', optional: true, placeholder: 'flow default' },
+        { name: 'delay', label: 'Delay (ms)', type: 'number', optional: true, placeholder: 'flow default', showIf: step => step.timingMode === 'fixed' }
+    ];
+    // What any step that can fail does about it; by default a failure stops the run.
+    const ERROR_POLICY_FIELDS = [
+        { name: 'retries', label: 'Retries', type: 'number', optional: true, placeholder: '0' },
+        { name: 'onError', label: 'On error', type: 'select', optional: true, options: [['', 'stop the run'], ['skip', 'skip the step'], ['goto', 'jump to step']] },
+        { name: 'onErrorStep', label: 'Jump to step #', type: 'number', showIf: step => step.onError === 'goto' }
+    ];
+    // Assertions double as the conditions of 'if' and 'repeat while' steps.
+    const CONDITION_FIELDS = [
+        { name: 'assertion', label: 'Check', type: 'select', options: Object.entries(ASSERTION_KINDS).map(([kind, { label }]) => [kind, label]) },
+        { ...SELECTOR_FIELD, showIf: step => !getAssertionKind(step).noSelector },
+        { name: 'attribute', label: 'Attribute', showIf: step => !!getAssertionKind(step).attribute },
+        { name: 'expected', label: 'Expected', showIf: step => !!getAssertionKind(step).expected }
+    ];
+    const NEGATE_FIELD = { name: 'negate', label: 'Negate the check', type: 'checkbox', checkedValue: true };
+    // Same default as CONDITION_TIMEOUT in background.js.
+    const CONDITION_TIMEOUT_FIELD = { name: 'timeout', label: 'Wait up to (ms)', type: 'number', optional: true, placeholder: '1000' };
+    const whileLoop = field => ({ ...field, showIf: step => step.loop === 'while' && (!field.showIf || field.showIf(step)) });
+    const EDITABLE_FIELDS = {
+        goto: [{ name: 'url', label: 'URL' }],
+        navigate: [{ name: 'url', label: 'URL' }, FRAME_FIELD, TAB_FIELD],
+        switchTab: [TAB_FIELD],
+        closeTab: [TAB_FIELD],
+        wait: [
+            { name: 'duration', label: 'Duration (ms)', type: 'number' },
+            { name: 'timingMode', label: 'Always wait, whatever the flow timing', type: 'checkbox', checkedValue: 'recorded' }
+        ],
+        click: [SELECTOR_FIELD, { name: 'clickMode', label: 'Click at recorded coordinates', type: 'checkbox', checkedValue: 'coordinates', showIf: step => !!step.position }, FRAME_FIELD, TAB_FIELD, ...TIMING_FIELDS, ...ERROR_POLICY_FIELDS],
+        change: [
+            SELECTOR_FIELD,
+            { name: 'value', label: 'Value' },
+            { name: 'typingDelay', label: 'Delay between keys (ms)', type: 'number', optional: true, placeholder: '0' },
+            FRAME_FIELD,
+            TAB_FIELD,
+            ...TIMING_FIELDS,
+            ...ERROR_POLICY_FIELDS
+        ],
+        keypress: [SELECTOR_FIELD, { name: 'key', label: 'Key' }, FRAME_FIELD, TAB_FIELD, ...TIMING_FIELDS, ...ERROR_POLICY_FIELDS],
+        select: [SELECTOR_FIELD, { name: 'value', label: 'Option value' }, { name: 'label', label: 'Option label' }, FRAME_FIELD, TAB_FIELD, ...TIMING_FIELDS, ...ERROR_POLICY_FIELDS],
+        check: [
+            SELECTOR_FIELD,
+            { name: 'checked', label: 'State', type: 'select', options: [['true', 'checked'], ['false', 'unchecked']], format: String, parse: value => value === 'true' },
+            FRAME_FIELD,
+            TAB_FIELD,
+            ...TIMING_FIELDS,
+            ...ERROR_POLICY_FIELDS
+        ],
+        upload: [
+            SELECTOR_FIELD,
+            {
+                name: 'files',
+                label: 'File names',
+                format: files => (files || []).map(file => file.name).join(', '),
+                parse: (value, step) => value.split(',').map(name => name.trim()).filter(Boolean)
+                    .map(name => ({ name: name, type: ((step.files || []).find(file => file.name === name) || {}).type || '' }))
+            },
+            { name: 'content', label: 'Placeholder content', optional: true, placeholder: 'empty files' },
+            FRAME_FIELD,
+            TAB_FIELD,
+            ...TIMING_FIELDS,
+            ...ERROR_POLICY_FIELDS
+        ],
+        hover: [SELECTOR_FIELD, FRAME_FIELD, TAB_FIELD, ...TIMING_FIELDS, ...ERROR_POLICY_FIELDS],
+        scroll: [
+            { ...SELECTOR_FIELD, optional: true, placeholder: 'the window' },
+            { name: 'x', label: 'X', type: 'number' },
+            { name: 'y', label: 'Y', type: 'number' },
+            FRAME_FIELD,
+            TAB_FIELD,
+            ...TIMING_FIELDS,
+            ...ERROR_POLICY_FIELDS
+        ],
+        dragdrop: [
+            { ...SELECTOR_FIELD, label: 'Drag' },
+            { name: 'dropSelector', label: 'Drop on' },
+            { name: 'dragMode', label: 'Using', type: 'select', options: [['pointer', 'mouse events'], ['html5', 'HTML5 drag and drop']] },
+            FRAME_FIELD,
+            TAB_FIELD,
+            ...TIMING_FIELDS,
+            ...ERROR_POLICY_FIELDS
+        ],
+        assert: [...CONDITION_FIELDS, FRAME_FIELD, TAB_FIELD, ...TIMING_FIELDS, ...ERROR_POLICY_FIELDS],
+        if: [...CONDITION_FIELDS, NEGATE_FIELD, FRAME_FIELD, TAB_FIELD, CONDITION_TIMEOUT_FIELD, ...ERROR_POLICY_FIELDS],
+        else: [],
+        repeat: [
+            { name: 'loop', label: 'Repeat', type: 'select', options: [['count', 'a number of times'], ['while', 'while a check passes']] },
+            { name: 'count', label: 'Times', type: 'number', showIf: step => step.loop !== 'while' },
+            ...CONDITION_FIELDS.map(whileLoop),
+            whileLoop(NEGATE_FIELD),
+            whileLoop(FRAME_FIELD),
+            whileLoop(TAB_FIELD),
+            whileLoop(CONDITION_TIMEOUT_FIELD),
+            whileLoop({ name: 'maxIterations', label: 'Give up after (iterations)', type: 'number', optional: true, placeholder: '100' }),
+            ...ERROR_POLICY_FIELDS
+        ],
+        end: [],
+        callFlow: [
+            {
+                name: 'flowName',
+                label: 'Flow',
+                type: 'select',
+                options: step => [['', 'choose a flow'], ...[...new Set([step.flowName, ...savedFlowNames])]
+                    .filter(name => name && name !== editorFlowName.textContent)
+                    .map(name => [name, name])]
+            },
+            { name: 'bindings', label: 'Variables', optional: true, placeholder: 'name=value; other={{variable}}', format: formatBindings, parse: parseBindings },
+            { name: 'skipGoto', label: 'Stay on the current page instead of loading its start URL', type: 'checkbox', checkedValue: true },
+            TAB_FIELD
+        ],
+        extract: [
+            { name: 'extract', label: 'Extract', type: 'select', options: Object.entries(EXTRACTION_KINDS).map(([kind, { label }]) => [kind, label]) },
+            SELECTOR_FIELD,
+            {
+                name: 'attribute',
+                label: 'Attribute',
+                showIf: step => step.extract === 'attribute' || step.extract === 'all',
+                optional: true,
+                placeholder: 'the text'
+            },
+            {
+                name: 'fields',
+                label: 'Fields',
+                placeholder: 'title=h3; link=a@href',
+                showIf: step => step.extract === 'cards',
+                format: formatBindings,
+                parse: parseBindings
+            },
+            { name: 'variable', label: 'Store in variable' },
+            { name: 'accumulate', label: 'Add to the list already in the variable (in loops)', type: 'checkbox', checkedValue: true },
+            FRAME_FIELD,
+            TAB_FIELD,
+            ...TIMING_FIELDS,
+            ...ERROR_POLICY_FIELDS
+        ]
+    };
+    const NEW_STEP_TEMPLATES = {
+        goto: { type: 'goto', url: '', frameId: 0 },
+        navigate: { type: 'navigate', url: '', transition: 'typed', frameId: 0 },
+        switchTab: { type: 'switchTab', tabRef: 1 },
+        closeTab: { type: 'closeTab', tabRef: 1 },
+        // A wait added by hand is meant to happen, unlike the pauses captured while recording.
+        wait: { type: 'wait', duration: 1000, timingMode: 'recorded' },
+        click: { type: 'click', selector: '', frameId: 0 },
+        change: { type: 'change', selector: '', value: '', frameId: 0 },
+        keypress: { type: 'keypress', selector: 'body', key: 'Enter', code: 'Enter', keyCode: 13, modifiers: {}, frameId: 0 },
+        assert: { type: 'assert', assertion: 'visible', selector: '', frameId: 0 },
+        select: { type: 'select', selector: '', value: '', label: '', frameId: 0 },
+        check: { type: 'check', selector: '', checked: true, frameId: 0 },
+        upload: { type: 'upload', selector: '', files: [{ name: 'placeholder.txt', type: 'text/plain' }], frameId: 0 },
+        hover: { type: 'hover', selector: '', frameId: 0 },
+        scroll: { type: 'scroll', x: 0, y: 0, frameId: 0 },
+        dragdrop: { type: 'dragdrop', selector: '', dropSelector: '', dragMode: 'pointer', frameId: 0 },
+        if: { type: 'if', assertion: 'visible', selector: '', frameId: 0 },
+        else: { type: 'else' },
+        repeat: { type: 'repeat', loop: 'count', count: 2, frameId: 0 },
+        end: { type: 'end' },
+        callFlow: { type: 'callFlow', flowName: '' },
+        extract: { type: 'extract', extract: 'text', selector: '', variable: '', frameId: 0 }
+    };
+    // Inserting one of these inserts its 'end' too.
+    const BLOCK_STEP_TYPES = ['if', 'repeat'];
+    // Pixels per nesting level in step lists.
+    const STEP_INDENT = 16;
+
+    // How each kind of save is named in a flow's version history (see saveFlowSteps in background.js).
+    const VERSION_SOURCES = {
+        recording: 'recorded',
+        editor: 'edited',
+        import: 'imported',
+        copy: 'copied',
+        restore: 'restored',
+        earlier: 'saved before version history'
+    };
+
+    // --- Flow File Format ---
+    // Bump FLOW_FILE_VERSION whenever the exported shape changes, and teach parseFlowFile
+    // to read the older versions.
+    const FLOW_FILE_FORMAT = 'replicate-operator-flows';
+    const FLOW_FILE_VERSION = 1;
+    // Fields every step of a given type must carry to be replayable.
+    const REQUIRED_STEP_FIELDS = {
+        goto: ['url'],
+        navigate: ['url'],
+        switchTab: ['tabRef'],
+        closeTab: ['tabRef'],
+        wait: ['duration'],
+        click: ['selector'],
+        change: ['selector', 'value'],
+        keypress: ['selector', 'key'],
+        assert: ['assertion'],
+        select: ['selector'],
+        check: ['selector', 'checked'],
+        upload: ['selector', 'files'],
+        hover: ['selector'],
+        scroll: ['x', 'y'],
+        dragdrop: ['selector', 'dropSelector'],
+        if: ['assertion'],
+        else: [],
+        repeat: ['loop'],
+        end: [],
+        callFlow: ['flowName'],
+        extract: ['extract', 'selector', 'variable']
+    };
 
     // =================================================================================
     //                          EVENT LISTENERS
@@ -26,11 +394,13 @@ document.addEventListener('DOMContentLoaded', () => {
 
     finishBtn.addEventListener('click', () => {
         const defaultName = `OperateFlow-${new Date().toISOString().slice(0, 19).replace(/[-T:]/g, '')}`;
-        const flowName = prompt('Enter a name for this flow:', defaultName);
-        if (flowName) {
-            // Future improvement: check for duplicate names before sending.
-            chrome.runtime.sendMessage({ type: 'stopRecordingAndSave', name: flowName });
-        }
+        chrome.runtime.sendMessage({ type: 'getFlows' }, (flows) => {
+            const flowName = promptFlowName('Enter a name for this flow:', defaultName, flows, true);
+            if (flowName) {
+                chrome.runtime.sendMessage({ type: 'stopRecordingAndSave', name: flowName });
+                storeRecordedSecrets();
+            }
+        });
     });
 
     cancelBtn.addEventListener('click', () => {
@@ -40,7 +410,14 @@ document.addEventListener('DOMContentLoaded', () => {
     runBtn.addEventListener('click', () => {
         const selectedFlow = getSelectedFlowName();
         if (selectedFlow) {
-            chrome.runtime.sendMessage({ type: 'runFlow', name: selectedFlow });
+            startRun('runFlow', selectedFlow);
+        }
+    });
+
+    debugBtn.addEventListener('click', () => {
+        const selectedFlow = getSelectedFlowName();
+        if (selectedFlow) {
+            startRun('debugFlow', selectedFlow);
         }
     });
 
@@ -53,11 +430,484 @@ document.addEventListener('DOMContentLoaded', () => {
     
     deleteBtn.addEventListener('click', () => {
         const selectedFlow = getSelectedFlowName();
-        if (selectedFlow && confirm(`Are you sure you want to delete "${selectedFlow}"?`)) {
-            chrome.runtime.sendMessage({ type: 'deleteFlow', name: selectedFlow });
+        if (!selectedFlow) return;
+        chrome.runtime.sendMessage({ type: 'getFlows' }, (flows) => {
+            const callers = Object.keys(flows).filter(name => flows[name].some(step => step.type === 'callFlow' && step.flowName === selectedFlow));
+            const usedBy = callers.length > 0 ? ` It is called by ${callers.map(name => `"${name}"`).join(', ')}, which will fail to run.` : '';
+            if (confirm(`Are you sure you want to delete "${selectedFlow}"?${usedBy}`)) {
+                chrome.runtime.sendMessage({ type: 'deleteFlow', name: selectedFlow });
+            }
+        });
+    });
+
+    renameBtn.addEventListener('click', () => {
+        const selectedFlow = getSelectedFlowName();
+        if (!selectedFlow) return;
+        chrome.runtime.sendMessage({ type: 'getFlows' }, (flows) => {
+            const newName = promptFlowName(`Rename "${selectedFlow}" to:`, selectedFlow, flows);
+            if (newName) chrome.runtime.sendMessage({ type: 'renameFlow', name: selectedFlow, newName: newName });
+        });
+    });
+
+    duplicateBtn.addEventListener('click', () => {
+        const selectedFlow = getSelectedFlowName();
+        if (!selectedFlow) return;
+        chrome.runtime.sendMessage({ type: 'getFlows' }, (flows) => {
+            const newName = promptFlowName('Name of the copy:', `${selectedFlow} (copy)`, flows);
+            if (newName) chrome.runtime.sendMessage({ type: 'duplicateFlow', name: selectedFlow, newName: newName });
+        });
+    });
+
+    detailsBtn.addEventListener('click', () => {
+        const selectedFlow = getSelectedFlowName();
+        if (selectedFlow) openDetailsView(selectedFlow);
+    });
+
+    flowSearchInput.addEventListener('input', () => updateSavedFlowsList());
+    flowSortSelect.addEventListener('change', () => updateSavedFlowsList());
+
+    scheduleBtn.addEventListener('click', () => {
+        const selectedFlow = getSelectedFlowName();
+        if (selectedFlow) {
+            scheduleFlowName.textContent = selectedFlow;
+            scheduleForm.classList.remove('hidden');
+        }
+    });
+
+    scheduleForm.addEventListener('change', (event) => {
+        if (event.target.name === 'schedule-kind') {
+            const isInterval = event.target.value === 'interval';
+            scheduleDailyOptions.classList.toggle('hidden', isInterval);
+            scheduleIntervalOptions.classList.toggle('hidden', !isInterval);
+        }
+    });
+
+    saveScheduleBtn.addEventListener('click', () => {
+        const kind = scheduleForm.querySelector('input[name="schedule-kind"]:checked').value;
+        const schedule = { flowName: scheduleFlowName.textContent, kind: kind };
+        if (kind === 'interval') {
+            schedule.intervalMinutes = parseInt(scheduleIntervalInput.value, 10);
+            if (!(schedule.intervalMinutes >= 1)) { alert('The interval must be at least 1 minute.'); return; }
+        } else {
+            schedule.time = scheduleTimeInput.value;
+            schedule.days = Array.from(scheduleDays.querySelectorAll('input:checked')).map(input => parseInt(input.value, 10));
+            if (!schedule.time || schedule.days.length === 0) { alert('Pick a time and at least one day.'); return; }
+        }
+        chrome.runtime.sendMessage({ type: 'saveSchedule', schedule: schedule });
+        scheduleForm.classList.add('hidden');
+    });
+
+    cancelScheduleBtn.addEventListener('click', () => {
+        scheduleForm.classList.add('hidden');
+    });
+
+    // --- Environments ---
+    addEnvironmentBtn.addEventListener('click', () => openEnvironmentForm(null));
+
+    cancelEnvironmentBtn.addEventListener('click', () => {
+        environmentForm.classList.add('hidden');
+    });
+
+    saveEnvironmentBtn.addEventListener('click', () => {
+        const name = environmentNameInput.value.trim();
+        if (!name) { alert('The environment needs a name.'); return; }
+        let rewrites;
+        try {
+            rewrites = parseUrlRewrites(environmentRewritesInput.value);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        chrome.runtime.sendMessage({ type: 'saveEnvironment', environment: { id: editingEnvironmentId, name: name, rewrites: rewrites } });
+        environmentForm.classList.add('hidden');
+    });
+
+    environmentsList.addEventListener('click', (event) => {
+        const { editEnvironment, deleteEnvironment } = event.target.dataset;
+        if (editEnvironment !== undefined) {
+            openEnvironmentForm(environments.find(environment => environment.id === editEnvironment));
+        } else if (deleteEnvironment !== undefined && confirm('Delete this environment?')) {
+            chrome.runtime.sendMessage({ type: 'deleteEnvironment', id: deleteEnvironment });
+        }
+    });
+
+    // Toggles and delete buttons are re-rendered on every update, so delegate from the list.
+    schedulesList.addEventListener('change', (event) => {
+        if (event.target.classList.contains('schedule-enabled')) {
+            chrome.runtime.sendMessage({ type: 'setScheduleEnabled', id: event.target.dataset.id, enabled: event.target.checked });
+        }
+    });
+
+    schedulesList.addEventListener('click', (event) => {
+        if (event.target.classList.contains('schedule-delete') && confirm('Delete this schedule?')) {
+            chrome.runtime.sendMessage({ type: 'deleteSchedule', id: event.target.dataset.id });
+        }
+    });
+
+    // The flows it calls go along, so the file runs wherever it is imported.
+    exportBtn.addEventListener('click', () => {
+        const selectedFlow = getSelectedFlowName();
+        if (!selectedFlow) return;
+        chrome.runtime.sendMessage({ type: 'getFlows' }, (flows) => {
+            chrome.runtime.sendMessage({ type: 'getFlowMeta' }, (allMeta) => {
+                const names = [...findCalledFlows(selectedFlow, flows)];
+                const exported = Object.fromEntries(names.map(name => [name, flows[name]]));
+                const meta = Object.fromEntries(names.filter(name => allMeta[name]).map(name => [name, allMeta[name]]));
+                downloadFile(`${selectedFlow}.flow.json`, buildFlowFile(exported, meta), 'application/json');
+            });
+        });
+    });
+
+    exportAllBtn.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ type: 'getFlows' }, (flows) => {
+            chrome.runtime.sendMessage({ type: 'getFlowMeta' }, (allMeta) => {
+                const date = new Date().toISOString().slice(0, 10);
+                downloadFile(`replicate-operator-flows-${date}.json`, buildFlowFile(flows, allMeta), 'application/json');
+            });
+        });
+    });
+
+    puppeteerScriptBtn.addEventListener('click', () => downloadGeneratedScript(generatePuppeteerScript, 'puppeteer.js'));
+    playwrightScriptBtn.addEventListener('click', () => downloadGeneratedScript(generatePlaywrightScript, 'spec.js'));
+
+    importBtn.addEventListener('click', () => importFileInput.click());
+
+    importFileInput.addEventListener('change', async () => {
+        const file = importFileInput.files[0];
+        importFileInput.value = ''; // Allow re-importing the same file
+        if (!file) return;
+        try {
+            const imported = parseFlowFile(await file.text());
+            chrome.runtime.sendMessage({ type: 'getFlows' }, (existingFlows) => {
+                const targetNames = resolveImportConflicts(imported.flows, existingFlows);
+                const flowsToSave = {};
+                const metaToSave = {};
+                for (const [targetName, sourceName] of Object.entries(targetNames)) {
+                    flowsToSave[targetName] = imported.flows[sourceName];
+                    if (imported.meta[sourceName]) metaToSave[targetName] = imported.meta[sourceName];
+                }
+                const count = Object.keys(flowsToSave).length;
+                if (count > 0) {
+                    chrome.runtime.sendMessage({ type: 'importFlows', flows: flowsToSave, meta: metaToSave });
+                }
+                alert(`Imported ${count} of ${Object.keys(imported.flows).length} flow(s).`);
+            });
+        } catch (error) {
+            alert(`Import failed: ${error.message}`);
         }
     });
 
+    editBtn.addEventListener('click', () => {
+        const selectedFlow = getSelectedFlowName();
+        if (!selectedFlow) return;
+        chrome.runtime.sendMessage({ type: 'getFlows' }, (flows) => {
+            chrome.runtime.sendMessage({ type: 'getFlowMeta' }, (allMeta) => {
+                const meta = allMeta[selectedFlow] || {};
+                openEditor(selectedFlow, flows[selectedFlow], meta.variables, meta.timing);
+            });
+        });
+    });
+
+    editorAddVariableBtn.addEventListener('click', () => {
+        const name = prompt('Variable name (letters, digits, "_", "-" or "."):');
+        if (!name) return;
+        if (!/^[\w.-]+$/.test(name)) { alert(`"${name}" is not a valid variable name.`); return; }
+        if (!(name in editorVariables)) editorVariables[name] = '';
+        renderEditorVariables();
+    });
+
+    editorVariablesList.addEventListener('change', (event) => {
+        const { variable } = event.target.dataset;
+        if (variable !== undefined) editorVariables[variable] = event.target.value;
+    });
+
+    editorVariablesList.addEventListener('click', (event) => {
+        const { removeVariable } = event.target.dataset;
+        if (removeVariable === undefined) return;
+        delete editorVariables[removeVariable];
+        renderEditorVariables();
+    });
+
+    runDataBtn.addEventListener('click', () => dataFileInput.click());
+
+    dataFileInput.addEventListener('change', async () => {
+        const file = dataFileInput.files[0];
+        dataFileInput.value = '';
+        const selectedFlow = getSelectedFlowName();
+        if (!file || !selectedFlow) return;
+        try {
+            const rows = parseDataFile(file.name, await file.text());
+            if (!confirm(`Run "${selectedFlow}" once for each of the ${rows.length} row(s) in ${file.name}?`)) return;
+            chrome.runtime.sendMessage({ type: 'runFlowWithData', name: selectedFlow, rows: rows, environment: runEnvironmentSelect.value || undefined });
+        } catch (error) {
+            alert(`Could not read ${file.name}: ${error.message}`);
+        }
+    });
+
+    TIMING_MODES.forEach(([value, text]) => editorTimingMode.add(new Option(text, value)));
+
+    editorTimingMode.addEventListener('change', () => {
+        editorTiming.mode = editorTimingMode.value;
+        renderEditorTiming();
+    });
+    editorTimingTimeout.addEventListener('change', () => {
+        editorTiming.timeout = Number(editorTimingTimeout.value) || DEFAULT_TIMING.timeout;
+        renderEditorTiming();
+    });
+    editorTimingDelay.addEventListener('change', () => {
+        editorTiming.delay = Math.max(0, Number(editorTimingDelay.value) || 0);
+        renderEditorTiming();
+    });
+
+    editorAddStepBtn.addEventListener('click', () => {
+        editorSteps.push(...createSteps(editorInsertType.value));
+        renderEditor();
+    });
+
+    editorExtractBtn.addEventListener('click', () => {
+        const range = prompt('Steps to move into a new flow, by number (e.g. 3-9):');
+        if (!range) return;
+        const match = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(range);
+        if (!match) { alert(`"${range}" is not a step number or range.`); return; }
+        const from = Number(match[1]);
+        const to = Number(match[2] || match[1]);
+        chrome.runtime.sendMessage({ type: 'getFlows' }, (flows) => {
+            try {
+                checkExtractableSteps(from, to);
+            } catch (error) {
+                alert(`Cannot extract steps ${from}-${to}: ${error.message}`);
+                return;
+            }
+            const name = promptFlowName('Name of the new flow:', `${editorFlowName.textContent} - steps ${from}-${to}`, flows);
+            if (!name) return;
+            extractSubFlow(from, to, name);
+            renderEditor();
+        });
+    });
+
+    editorSaveBtn.addEventListener('click', () => {
+        const errors = validateFlowSteps(editorSteps);
+        editorSteps.forEach((step, index) => {
+            if (step.type === 'callFlow' && step.flowName === editorFlowName.textContent) errors.push(`Step ${index + 1} calls the flow itself.`);
+        });
+        if (errors.length > 0) {
+            alert(`Cannot save this flow:\n${errors.join('\n')}`);
+            return;
+        }
+        // An empty default means "no default": the value has to come from a data row.
+        const variables = Object.fromEntries(Object.entries(editorVariables).filter(([, value]) => value !== ''));
+        chrome.runtime.sendMessage({ type: 'saveFlow', name: editorFlowName.textContent, steps: editorSteps, variables: variables, timing: editorTiming });
+        closeEditor();
+    });
+
+    editorCancelBtn.addEventListener('click', () => closeEditor());
+
+    // Inputs are re-rendered on every structural change, so delegate from the list.
+    editorStepsList.addEventListener('change', (event) => {
+        const { index, field } = event.target.dataset;
+        if (field === undefined) return;
+        updateStepField(editorSteps[index], field, event.target);
+        renderEditor();
+    });
+
+    editorStepsList.addEventListener('click', (event) => {
+        const { index, action } = event.target.dataset;
+        if (action === undefined) return;
+        const i = Number(index);
+        switch (action) {
+            case 'up':
+                editStepsKeepingJumps(() => {
+                    if (i > 0) editorSteps.splice(i - 1, 0, ...editorSteps.splice(i, 1));
+                });
+                break;
+            case 'down':
+                editStepsKeepingJumps(() => {
+                    if (i < editorSteps.length - 1) editorSteps.splice(i + 1, 0, ...editorSteps.splice(i, 1));
+                });
+                break;
+            case 'duplicate': {
+                const copy = JSON.parse(JSON.stringify(editorSteps[i]));
+                editStepsKeepingJumps(() => editorSteps.splice(i + 1, 0, copy));
+                if (copy.onErrorStep !== undefined) copy.onErrorStep = editorSteps[i].onErrorStep;
+                break;
+            }
+            case 'insert':
+                editStepsKeepingJumps(() => editorSteps.splice(i + 1, 0, ...createSteps(editorInsertType.value)));
+                break;
+            case 'delete':
+                editStepsKeepingJumps(() => editorSteps.splice(i, 1));
+                break;
+            case 'pick':
+                pickingStepIndex = i;
+                chrome.runtime.sendMessage({ type: 'startElementPicker' });
+                break;
+            case 'variable':
+                extractVariable(editorSteps[i]);
+                break;
+        }
+        renderEditor();
+    });
+
+    // --- Replay Controls ---
+    replayPauseBtn.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ type: 'replayCommand', command: replayState.status === 'paused' ? 'resume' : 'pause' });
+    });
+    replayStepBtn.addEventListener('click', () => chrome.runtime.sendMessage({ type: 'replayCommand', command: 'step' }));
+    replayStopBtn.addEventListener('click', () => chrome.runtime.sendMessage({ type: 'replayCommand', command: 'stop' }));
+    replayCloseBtn.addEventListener('click', () => updateReplayControls(null));
+    replaySpeed.addEventListener('change', () => {
+        chrome.runtime.sendMessage({ type: 'setReplaySpeed', speed: Number(replaySpeed.value) });
+    });
+
+    replayStepsList.addEventListener('click', (event) => {
+        const { breakpoint } = event.target.dataset;
+        if (breakpoint === undefined) return;
+        // Breakpoints belong to the saved step, which may be in a called flow.
+        const { origin } = replayState.steps[Number(breakpoint)];
+        chrome.runtime.sendMessage({ type: 'toggleBreakpoint', name: origin.flowName, index: origin.index });
+    });
+
+    // --- Run History ---
+    screenshotSetting.addEventListener('change', () => {
+        chrome.runtime.sendMessage({ type: 'saveSettings', settings: { screenshotEveryStep: screenshotSetting.checked } });
+    });
+
+    // --- External Access ---
+    // Both lists hold callers; the second says which of them may use the stored secrets.
+    [[externalCallersSetting, 'externalCallers'], [externalSecretCallersSetting, 'externalSecretCallers']].forEach(([setting, name]) => {
+        setting.addEventListener('change', () => {
+            const allowed = new Set();
+            const invalid = [];
+            setting.value.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+                const caller = parseExternalCaller(line);
+                if (caller) allowed.add(caller);
+                else invalid.push(line);
+            });
+            if (invalid.length > 0) alert(`Left out, as they are neither an extension id nor a page origin: ${invalid.join(', ')}`);
+            setting.value = [...allowed].join('\n');
+            chrome.runtime.sendMessage({ type: 'saveSettings', settings: { [name]: [...allowed] } });
+        });
+    });
+
+    runHistoryList.addEventListener('click', (event) => {
+        const item = event.target.closest('li[data-id]');
+        if (!item) return;
+        chrome.runtime.sendMessage({ type: 'getRunReport', id: item.dataset.id }, (report) => {
+            if (report) openReportView(report);
+            else updateRunHistoryList(); // Trimmed away since the list was drawn
+        });
+    });
+
+    clearHistoryBtn.addEventListener('click', () => {
+        if (confirm('Delete the reports of all past runs?')) {
+            chrome.runtime.sendMessage({ type: 'clearRunHistory' });
+        }
+    });
+
+    reportExportBtn.addEventListener('click', () => {
+        downloadFile(getReportFileName(openReport, 'html'), generateHtmlReport(openReport, formatStep), 'text/html');
+    });
+
+    reportCsvBtn.addEventListener('click', () => {
+        downloadFile(getReportFileName(openReport, 'csv'), buildCsv(dataToRows(openReport.data)), 'text/csv');
+    });
+
+    reportJsonBtn.addEventListener('click', () => {
+        downloadFile(getReportFileName(openReport, 'json'), JSON.stringify(openReport.data, null, 2), 'application/json');
+    });
+
+    dataRunCsvBtn.addEventListener('click', () => downloadDataRunData('csv'));
+    dataRunJsonBtn.addEventListener('click', () => downloadDataRunData('json'));
+
+    reportDeleteBtn.addEventListener('click', () => {
+        if (confirm('Delete this run report?')) {
+            chrome.runtime.sendMessage({ type: 'deleteRunReport', id: openReport.id });
+            closeReportView();
+        }
+    });
+
+    reportBackBtn.addEventListener('click', () => closeReportView());
+
+    // --- Flow Details ---
+    detailsSaveBtn.addEventListener('click', () => {
+        const tags = detailsTags.value.split(',').map(tag => tag.trim().replace(/^#/, '')).filter(Boolean);
+        chrome.runtime.sendMessage({
+            type: 'updateFlowDetails',
+            name: detailsFlowName,
+            details: { description: detailsDescription.value.trim(), folder: detailsFolder.value.trim(), tags: [...new Set(tags)] }
+        });
+        closeDetailsView();
+    });
+
+    detailsBackBtn.addEventListener('click', () => closeDetailsView());
+
+    detailsVersionsList.addEventListener('click', (event) => {
+        const { diffVersion, restoreVersion } = event.target.dataset;
+        if (diffVersion !== undefined) {
+            renderVersionDiff(detailsVersions[Number(diffVersion)]);
+        } else if (restoreVersion !== undefined) {
+            const version = detailsVersions[Number(restoreVersion)];
+            if (confirm(`Restore "${detailsFlowName}" to the version ${formatVersionDate(version)}? The current steps stay in the history.`)) {
+                chrome.runtime.sendMessage({ type: 'restoreFlowVersion', name: detailsFlowName, savedAt: version.savedAt });
+            }
+        }
+    });
+
+    // --- Secrets ---
+    secretPromptForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        closeSecretPrompt(secretPromptInput.value);
+    });
+
+    secretPromptCancelBtn.addEventListener('click', () => closeSecretPrompt(null));
+
+    secretsUnlockBtn.addEventListener('click', async () => {
+        const status = await chrome.runtime.sendMessage({ type: 'getSecretStatus' });
+        unlockSecrets(status.hasVault);
+    });
+
+    secretsLockBtn.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ type: 'lockSecrets' });
+    });
+
+    secretsAddBtn.addEventListener('click', async () => {
+        const name = prompt('Secret name (letters, digits, "_", "-" or "."). Use it as {{secret:name}} in a value:');
+        if (name === null) return;
+        if (!/^[\w.-]+$/.test(name)) {
+            alert(`"${name}" is not a valid secret name.`);
+            return;
+        }
+        const value = await askForSecretInput(`Value of secret "${name}":`);
+        if (value !== null) chrome.runtime.sendMessage({ type: 'setSecret', name: name, value: value });
+    });
+
+    secretsForgetBtn.addEventListener('click', () => {
+        if (confirm('Forget the passphrase and every stored secret? Flows using them will ask for the values again.')) {
+            chrome.runtime.sendMessage({ type: 'forgetSecrets' });
+        }
+    });
+
+    secretsList.addEventListener('click', async (event) => {
+        const { setSecret, deleteSecret } = event.target.dataset;
+        if (setSecret !== undefined) {
+            const value = await askForSecretInput(`New value of secret "${setSecret}":`);
+            if (value !== null) chrome.runtime.sendMessage({ type: 'setSecret', name: setSecret, value: value });
+        } else if (deleteSecret !== undefined && confirm(`Delete the secret "${deleteSecret}"?`)) {
+            chrome.runtime.sendMessage({ type: 'deleteSecret', name: deleteSecret });
+        }
+    });
+
+    sensitiveSelectorSetting.addEventListener('change', () => {
+        const selector = sensitiveSelectorSetting.value.trim();
+        try {
+            if (selector) document.querySelector(selector);
+        } catch (error) {
+            alert(`"${selector}" is not a valid CSS selector.`);
+            return;
+        }
+        chrome.runtime.sendMessage({ type: 'saveSettings', settings: { sensitiveSelector: selector } });
+    });
+
     // --- *** FIX: EVENT DELEGATION FOR SAVED FLOWS LIST *** ---
     // This single listener is attached to the parent container.
     // It will handle 'change' events from any radio button added now or in the future.
@@ -77,6 +927,21 @@ document.addEventListener('DOMContentLoaded', () => {
             updateLiveSteps(request.steps);
         } else if (request.type === 'flowsUpdated') {
             updateSavedFlowsList();
+            if (detailsFlowName) refreshVersionHistory();
+        } else if (request.type === 'schedulesUpdated') {
+            updateSchedulesList();
+        } else if (request.type === 'environmentsUpdated') {
+            updateEnvironmentsList();
+        } else if (request.type === 'secretsUpdated') {
+            updateSecretsList();
+        } else if (request.type === 'replayStateChanged') {
+            updateReplayControls(request.state);
+        } else if (request.type === 'runHistoryUpdated') {
+            updateRunHistoryList();
+        } else if (request.type === 'dataRunUpdated') {
+            updateDataRunSummary(request);
+        } else if (request.type === 'pickerResult') {
+            applyPickedElement(request);
         } else if (request.type === 'showError') {
             alert(request.message);
         }
@@ -101,28 +966,379 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // This function now only focuses on rendering the list.
+    // Flows matching the search, sorted as chosen and grouped by folder (flows without one first).
     function updateSavedFlowsList() {
-        chrome.runtime.sendMessage({type: 'getFlows'}, (flows) => {
-            savedFlowsList.innerHTML = ''; // Clear previous list
-            const flowNames = Object.keys(flows);
-            
-            if (flowNames.length === 0) {
-                savedFlowsList.innerHTML = '<p style="font-style: italic; color: #666;">No saved flows yet.</p>';
-            } else {
-                flowNames.forEach(name => {
-                    const div = document.createElement('div');
-                    div.className = 'flow-item';
-                    // Using template literals for cleaner HTML string
-                    div.innerHTML = `
-                        <input type="radio" id="flow-${name}" name="saved-flow" value="${name}">
-                        <label for="flow-${name}">${name}</label>
-                    `;
-                    savedFlowsList.appendChild(div);
+        chrome.runtime.sendMessage({ type: 'getFlows' }, (flows) => {
+            chrome.runtime.sendMessage({ type: 'getFlowMeta' }, (allMeta) => {
+                const selectedFlow = getSelectedFlowName();
+                savedFlowsList.innerHTML = ''; // Clear previous list
+                const flowNames = Object.keys(flows);
+                savedFlowNames = flowNames.sort((a, b) => a.localeCompare(b));
+                const query = flowSearchInput.value.trim().toLowerCase();
+                const shownNames = sortFlowNames(flowNames.filter(name => matchesFlowSearch(name, flows[name], allMeta[name] || {}, query)), allMeta);
+
+                if (flowNames.length === 0) {
+                    savedFlowsList.innerHTML = '<p style="font-style: italic; color: #666;">No saved flows yet.</p>';
+                } else if (shownNames.length === 0) {
+                    savedFlowsList.innerHTML = '<p style="font-style: italic; color: #666;">No flows match the search.</p>';
+                }
+                const folders = [...new Set(shownNames.map(name => (allMeta[name] || {}).folder || ''))].sort((a, b) => a.localeCompare(b));
+                folders.forEach(folder => {
+                    if (folder) {
+                        const heading = document.createElement('h4');
+                        heading.className = 'flow-folder';
+                        heading.textContent = folder;
+                        savedFlowsList.appendChild(heading);
+                    }
+                    shownNames
+                        .filter(name => ((allMeta[name] || {}).folder || '') === folder)
+                        .forEach(name => savedFlowsList.appendChild(createFlowItem(name, flows[name], allMeta[name] || {}, name === selectedFlow)));
                 });
+                // After updating the list, ensure buttons are in the correct state.
+                updateActionButtonsState();
+            });
+        });
+    }
+
+    function createFlowItem(name, steps, meta, selected) {
+        const div = document.createElement('div');
+        div.className = 'flow-item';
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.id = `flow-${name}`;
+        radio.name = 'saved-flow';
+        radio.value = name;
+        radio.checked = selected;
+        const label = document.createElement('label');
+        label.htmlFor = radio.id;
+        label.textContent = name;
+        div.append(radio, label);
+
+        // Steps whose primary locator failed on the last run and need repairing.
+        const staleCount = steps.filter(step => step.locatorStatus && step.locatorStatus.stale).length;
+        if (staleCount > 0) {
+            const staleBadge = document.createElement('span');
+            staleBadge.className = 'stale-badge';
+            staleBadge.title = 'Primary locator no longer matches; a fallback was used';
+            staleBadge.textContent = `${staleCount} stale`;
+            div.appendChild(staleBadge);
+        }
+        (meta.tags || []).forEach(tag => {
+            const tagBadge = document.createElement('span');
+            tagBadge.className = 'tag-badge';
+            tagBadge.textContent = `#${tag}`;
+            div.appendChild(tagBadge);
+        });
+
+        const info = document.createElement('div');
+        info.className = 'flow-info item-meta';
+        info.textContent = meta.description || steps[0].url || '';
+        info.title = info.textContent;
+        div.appendChild(info);
+        return div;
+    }
+
+    // Every word of the query has to match: "#word" a tag, anything else the name,
+    // description, folder, start URL or a tag.
+    function matchesFlowSearch(name, steps, meta, query) {
+        const tags = (meta.tags || []).map(tag => tag.toLowerCase());
+        const text = [name, meta.description, meta.folder, steps[0].url, ...tags].filter(Boolean).join('\n').toLowerCase();
+        return query.split(/\s+/).filter(Boolean).every(word => {
+            if (word.startsWith('#') && word.length > 1) return tags.some(tag => tag.startsWith(word.slice(1)));
+            return text.includes(word);
+        });
+    }
+
+    // By name, or newest first by a meta timestamp; flows that never had one go last.
+    function sortFlowNames(names, allMeta) {
+        const field = flowSortSelect.value;
+        const byName = (a, b) => a.localeCompare(b);
+        if (field === 'name') return names.sort(byName);
+        const time = name => (allMeta[name] || {})[field] || 0;
+        return names.sort((a, b) => time(b) - time(a) || byName(a, b));
+    }
+
+    // Upcoming runs first; disabled schedules (no next run) sink to the bottom.
+    function updateSchedulesList() {
+        chrome.runtime.sendMessage({ type: 'getSchedules' }, (schedules) => {
+            schedulesList.innerHTML = '';
+            if (schedules.length === 0) {
+                schedulesList.innerHTML = '<p style="font-style: italic; color: #666;">No scheduled runs.</p>';
+                return;
             }
-            // After updating the list, ensure buttons are in the correct state.
-            updateActionButtonsState();
+            schedules
+                .sort((a, b) => (a.nextRunAt || Infinity) - (b.nextRunAt || Infinity))
+                .forEach(schedule => schedulesList.appendChild(createScheduleItem(schedule)));
+        });
+    }
+
+    // Also keeps the run options' environment choices current.
+    function updateEnvironmentsList() {
+        chrome.runtime.sendMessage({ type: 'getEnvironments' }, (loaded) => {
+            environments = loaded;
+            const chosen = runEnvironmentSelect.value;
+            runEnvironmentSelect.innerHTML = '<option value="">as recorded</option>';
+            environments.forEach(environment => runEnvironmentSelect.add(new Option(environment.name, environment.id)));
+            runEnvironmentSelect.value = environments.some(environment => environment.id === chosen) ? chosen : '';
+
+            environmentsList.innerHTML = '';
+            if (environments.length === 0) {
+                environmentsList.innerHTML = '<p style="font-style: italic; color: #666;">No environments.</p>';
+                return;
+            }
+            environments.forEach(environment => {
+                const li = document.createElement('li');
+                const header = document.createElement('div');
+                header.className = 'item-row';
+                const title = document.createElement('span');
+                title.className = 'item-title';
+                title.textContent = environment.name;
+                const editButton = document.createElement('button');
+                editButton.dataset.editEnvironment = environment.id;
+                editButton.textContent = 'Edit';
+                const deleteButton = document.createElement('button');
+                deleteButton.dataset.deleteEnvironment = environment.id;
+                deleteButton.textContent = 'Delete';
+                header.append(title, editButton, deleteButton);
+                const rewrites = document.createElement('div');
+                rewrites.className = 'item-meta';
+                rewrites.textContent = environment.rewrites.map(({ from, to }) => `${from} → ${to}`).join(', ');
+                li.append(header, rewrites);
+                environmentsList.appendChild(li);
+            });
+        });
+    }
+
+    function updateSecretsList() {
+        chrome.runtime.sendMessage({ type: 'getSecretStatus' }, (status) => {
+            if (!status.hasVault) secretsStatus.textContent = 'No passphrase chosen yet.';
+            else secretsStatus.textContent = status.unlocked ? 'Unlocked until the browser closes.' : 'Locked.';
+            secretsUnlockBtn.classList.toggle('hidden', status.unlocked);
+            secretsLockBtn.classList.toggle('hidden', !status.unlocked);
+            secretsForgetBtn.disabled = !status.hasVault && status.pending.length === 0;
+
+            secretsList.innerHTML = '';
+            const names = [...new Set([...status.stored, ...status.pending])].sort();
+            if (names.length === 0) {
+                secretsList.innerHTML = '<p style="font-style: italic; color: #666;">No secrets yet.</p>';
+                return;
+            }
+            names.forEach(name => {
+                const li = document.createElement('li');
+                li.className = 'item-row';
+                const title = document.createElement('span');
+                title.className = 'item-title';
+                title.textContent = name;
+                const state = document.createElement('span');
+                state.className = 'item-meta';
+                // Values never come back from background.js; there's nothing to show but a mask.
+                state.textContent = status.pending.includes(name) ? '•••••• (until the browser closes)' : '••••••';
+                const setButton = document.createElement('button');
+                setButton.dataset.setSecret = name;
+                setButton.textContent = 'Set';
+                const deleteButton = document.createElement('button');
+                deleteButton.dataset.deleteSecret = name;
+                deleteButton.textContent = 'Delete';
+                li.append(title, state, setButton, deleteButton);
+                secretsList.appendChild(li);
+            });
+        });
+    }
+
+    function createScheduleItem(schedule) {
+        const li = document.createElement('li');
+
+        const header = document.createElement('div');
+        header.className = 'item-row';
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.className = 'schedule-enabled';
+        toggle.dataset.id = schedule.id;
+        toggle.checked = schedule.enabled;
+        toggle.title = 'Enabled';
+        const title = document.createElement('span');
+        title.className = 'item-title';
+        title.textContent = schedule.flowName;
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'schedule-delete';
+        deleteButton.dataset.id = schedule.id;
+        deleteButton.textContent = 'Delete';
+        header.append(toggle, title, deleteButton);
+
+        const when = document.createElement('div');
+        when.className = 'item-meta';
+        const nextRun = schedule.enabled && schedule.nextRunAt ? new Date(schedule.nextRunAt).toLocaleString() : 'disabled';
+        when.textContent = `${formatSchedule(schedule)} · Next: ${nextRun}`;
+
+        const lastRun = document.createElement('div');
+        lastRun.className = 'item-meta';
+        if (schedule.lastRun) {
+            lastRun.classList.add(`status-${schedule.lastRun.status}`);
+            const detail = schedule.lastRun.message ? ` (${schedule.lastRun.message})` : '';
+            lastRun.textContent = `Last run: ${new Date(schedule.lastRun.startedAt).toLocaleString()} - ${schedule.lastRun.status}${detail}`;
+        } else {
+            lastRun.textContent = 'Last run: never';
+        }
+
+        li.append(header, when, lastRun);
+        return li;
+    }
+
+    function formatSchedule(schedule) {
+        if (schedule.kind === 'interval') return `Every ${schedule.intervalMinutes} min`;
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const days = [...schedule.days].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7)).map(day => dayNames[day]);
+        return `${days.join(', ')} at ${schedule.time}`;
+    }
+
+    function updateReplayControls(state) {
+        replayState = state;
+        replayControls.classList.toggle('hidden', !state);
+        if (!state) return;
+
+        const finished = state.status === 'finished';
+        if (finished) {
+            const detail = state.result.message ? ` - ${state.result.message}` : '';
+            replayStatus.textContent = `"${state.flowName}": ${state.result.status}${detail}`;
+        } else {
+            replayStatus.textContent = `"${state.flowName}": ${state.status} at step ${state.currentStep + 1} of ${state.steps.length}`;
+        }
+        replayPauseBtn.textContent = state.status === 'paused' ? 'Resume' : 'Pause';
+        replayPauseBtn.disabled = state.status === 'stopping';
+        replayStepBtn.disabled = state.status !== 'paused';
+        replayStopBtn.disabled = state.status === 'stopping';
+        [replayPauseBtn, replayStepBtn, replayStopBtn].forEach(button => button.classList.toggle('hidden', finished));
+        replayCloseBtn.classList.toggle('hidden', !finished);
+        replaySpeed.value = String(state.speed);
+
+        replayStepsList.innerHTML = '';
+        const depths = getStepDepths(state.steps);
+        state.steps.forEach((step, index) => {
+            const li = document.createElement('li');
+            li.className = 'replay-step';
+            indentStepItem(li, depths[index]);
+            if (!finished && index === state.currentStep) li.classList.add('current');
+            // The opening goto always runs; a breakpoint there would have nothing before it.
+            if (index > 0) {
+                const toggle = document.createElement('span');
+                toggle.className = 'replay-breakpoint';
+                toggle.classList.toggle('active', state.breakpoints.includes(index));
+                toggle.dataset.breakpoint = index;
+                toggle.title = 'Toggle breakpoint';
+                li.appendChild(toggle);
+            }
+            li.append(formatStep(step));
+            replayStepsList.appendChild(li);
         });
+        const current = replayStepsList.querySelector('.current');
+        if (current) current.scrollIntoView({ block: 'nearest' });
+    }
+
+    // Origins are compared exactly (see handleExternalRequest in background.js), so a pasted
+    // page URL is cut down to its origin.
+    function parseExternalCaller(text) {
+        if (/^[a-p]{32}$/.test(text)) return text;
+        try {
+            const url = new URL(text);
+            return ['http:', 'https:'].includes(url.protocol) ? url.origin : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function updateRunHistoryList() {
+        chrome.runtime.sendMessage({ type: 'getRunHistory' }, (runs) => {
+            runHistoryList.innerHTML = '';
+            clearHistoryBtn.disabled = runs.length === 0;
+            if (runs.length === 0) {
+                runHistoryList.innerHTML = '<p style="font-style: italic; color: #666;">No runs yet.</p>';
+                return;
+            }
+            runs.forEach(run => {
+                const li = document.createElement('li');
+                li.dataset.id = run.id;
+                li.title = run.message || 'Show report';
+                const title = document.createElement('div');
+                title.className = `run-title status-${run.status}`;
+                title.textContent = `${run.flowName} - ${run.status}`;
+                const meta = document.createElement('div');
+                meta.className = 'item-meta';
+                const failedAt = run.failedStep !== undefined ? ` · failed at step ${run.failedStep + 1}` : '';
+                meta.textContent = `${new Date(run.startedAt).toLocaleString()} · ${formatDuration(run.finishedAt - run.startedAt)} · ${run.trigger}${failedAt}`;
+                li.append(title, meta);
+                runHistoryList.appendChild(li);
+            });
+        });
+    }
+
+    function openReportView(report) {
+        openReport = report;
+        reportTitle.textContent = `Run of "${report.flowName}"`;
+        reportSummary.className = `item-meta status-${report.status}`;
+        reportSummary.textContent = `${new Date(report.startedAt).toLocaleString()} · ${report.trigger} · ${report.status}`
+            + ` in ${formatDuration(report.finishedAt - report.startedAt)}${report.message ? ` - ${report.message}` : ''}`;
+        reportStepsList.innerHTML = '';
+        const flowSteps = [];
+        report.steps.forEach(stepReport => { flowSteps[stepReport.index] = stepReport.step; });
+        const depths = getStepDepths(Array.from(flowSteps, step => step || {}));
+        report.steps.forEach(stepReport => reportStepsList.appendChild(createReportStepItem(stepReport, depths[stepReport.index])));
+        const hasData = Object.keys(report.data || {}).length > 0;
+        reportCsvBtn.classList.toggle('hidden', !hasData);
+        reportJsonBtn.classList.toggle('hidden', !hasData);
+        libraryView.classList.add('hidden');
+        reportView.classList.remove('hidden');
+    }
+
+    // Loops and branches list a step once per run of it, so the number comes from its index.
+    function createReportStepItem(stepReport, depth) {
+        const li = document.createElement('li');
+        li.className = `report-step report-step-${stepReport.status}`;
+        li.value = stepReport.index + 1;
+        indentStepItem(li, depth);
+        const title = document.createElement('div');
+        title.className = 'report-step-title';
+        title.textContent = formatStep(stepReport.step);
+        const meta = document.createElement('div');
+        meta.className = 'item-meta';
+        const details = [stepReport.status];
+        if (stepReport.status !== 'skipped') {
+            details.push(formatDuration(stepReport.duration));
+            details.push(stepReport.frameId ? `frame ${stepReport.frameId}` : 'main frame');
+        }
+        if (stepReport.matchedBy) details.push(`matched by ${stepReport.matchedBy}`);
+        if (stepReport.note) details.push(stepReport.note);
+        meta.textContent = details.join(' · ');
+        li.append(title, meta);
+        if (stepReport.error) {
+            const error = document.createElement('div');
+            error.className = 'report-step-message';
+            error.textContent = stepReport.error;
+            li.appendChild(error);
+        }
+        if (stepReport.screenshot) {
+            // Opens full size in a new tab; the thumbnail is scaled down to fit the panel.
+            const link = document.createElement('a');
+            link.href = stepReport.screenshot;
+            link.target = '_blank';
+            const image = document.createElement('img');
+            image.src = stepReport.screenshot;
+            image.alt = `Screenshot after step ${stepReport.index + 1}`;
+            link.appendChild(image);
+            li.appendChild(link);
+        }
+        return li;
+    }
+
+    function getReportFileName(report, extension) {
+        const stamp = new Date(report.startedAt).toISOString().slice(0, 19).replace(/[-T:]/g, '');
+        return `${report.flowName.replace(/[^\w.-]+/g, '_')}-${stamp}.${extension}`;
+    }
+
+    function closeReportView() {
+        openReport = null;
+        reportStepsList.innerHTML = ''; // Drop the screenshots
+        reportView.classList.add('hidden');
+        libraryView.classList.remove('hidden');
     }
 
     // --- *** NEW/REFACTORED HELPER FUNCTIONS *** ---
@@ -131,8 +1347,157 @@ document.addEventListener('DOMContentLoaded', () => {
     function updateActionButtonsState() {
         const isSelected = !!getSelectedFlowName();
         runBtn.disabled = !isSelected;
+        debugBtn.disabled = !isSelected;
+        runDataBtn.disabled = !isSelected;
         displayBtn.disabled = !isSelected;
         deleteBtn.disabled = !isSelected;
+        scheduleBtn.disabled = !isSelected;
+        exportBtn.disabled = !isSelected;
+        puppeteerScriptBtn.disabled = !isSelected;
+        playwrightScriptBtn.disabled = !isSelected;
+        editBtn.disabled = !isSelected;
+        renameBtn.disabled = !isSelected;
+        duplicateBtn.disabled = !isSelected;
+        detailsBtn.disabled = !isSelected;
+    }
+
+    // Asks until the name is free, or until replacing the flow of that name is confirmed
+    // where that is allowed. Returns null when cancelled.
+    function promptFlowName(message, defaultName, existingFlows, allowOverwrite = false) {
+        let name = prompt(message, defaultName);
+        while (name !== null) {
+            name = name.trim();
+            if (name && !existingFlows[name]) return name;
+            if (name && allowOverwrite && confirm(`Replace the flow "${name}"? Its current steps stay in its version history.`)) return name;
+            name = prompt(name ? `A flow named "${name}" already exists. ${message}` : message, name || defaultName);
+        }
+        return null;
+    }
+
+    // --- Flow Details ---
+
+    async function openDetailsView(flowName) {
+        const [flows, allMeta] = await Promise.all([
+            chrome.runtime.sendMessage({ type: 'getFlows' }),
+            chrome.runtime.sendMessage({ type: 'getFlowMeta' })
+        ]);
+        const steps = flows[flowName];
+        if (!steps) return;
+        const meta = allMeta[flowName] || {};
+        detailsFlowName = flowName;
+        detailsFlowNameLabel.textContent = flowName;
+        const formatTime = time => time ? new Date(time).toLocaleString() : 'unknown';
+        detailsInfo.textContent = [
+            `Starts at ${steps[0].url}`,
+            `${steps.length} steps`,
+            `Created ${formatTime(meta.createdAt)}`,
+            `Modified ${formatTime(meta.modifiedAt)}`,
+            `Last run ${meta.lastRunAt ? `${formatTime(meta.lastRunAt)} (${meta.lastRunStatus})` : 'never'}`
+        ].join(' · ');
+        detailsDescription.value = meta.description || '';
+        detailsFolder.value = meta.folder || '';
+        detailsTags.value = (meta.tags || []).join(', ');
+        detailsFolderOptions.innerHTML = '';
+        [...new Set(Object.values(allMeta).map(flowMeta => flowMeta.folder).filter(Boolean))].sort().forEach(folder => {
+            const option = document.createElement('option');
+            option.value = folder;
+            detailsFolderOptions.appendChild(option);
+        });
+        await refreshVersionHistory();
+        libraryView.classList.add('hidden');
+        detailsView.classList.remove('hidden');
+    }
+
+    function closeDetailsView() {
+        detailsFlowName = null;
+        detailsVersions = [];
+        detailsVersionsList.innerHTML = '';
+        detailsDiff.innerHTML = '';
+        detailsView.classList.add('hidden');
+        libraryView.classList.remove('hidden');
+    }
+
+    // The newest version is the flow as saved now; every older one can be compared or restored.
+    async function refreshVersionHistory() {
+        const flowName = detailsFlowName;
+        const versions = await chrome.runtime.sendMessage({ type: 'getFlowVersions', name: flowName });
+        if (flowName !== detailsFlowName) return;
+        detailsVersions = versions;
+        detailsVersionsList.innerHTML = '';
+        detailsDiff.classList.add('hidden');
+        if (versions.length === 0) {
+            detailsVersionsList.innerHTML = '<p style="font-style: italic; color: #666;">No versions yet: one is kept each time the flow is saved.</p>';
+            return;
+        }
+        versions.forEach((version, index) => {
+            const li = document.createElement('li');
+            li.className = 'item-row';
+            const title = document.createElement('span');
+            title.className = 'item-title';
+            title.textContent = `${formatVersionDate(version)} · ${VERSION_SOURCES[version.source] || version.source} · ${version.steps.length} steps`;
+            li.appendChild(title);
+            if (index === 0) {
+                title.textContent += ' (current)';
+            } else {
+                const diffButton = document.createElement('button');
+                diffButton.dataset.diffVersion = index;
+                diffButton.textContent = 'Diff';
+                const restoreButton = document.createElement('button');
+                restoreButton.dataset.restoreVersion = index;
+                restoreButton.textContent = 'Restore';
+                li.append(diffButton, restoreButton);
+            }
+            detailsVersionsList.appendChild(li);
+        });
+    }
+
+    function formatVersionDate(version) {
+        return version.savedAt ? new Date(version.savedAt).toLocaleString() : 'from before version history';
+    }
+
+    // What changed from the version to the current steps, step by step.
+    function renderVersionDiff(version) {
+        detailsDiff.innerHTML = '';
+        const title = document.createElement('li');
+        title.className = 'diff-title';
+        title.textContent = `From ${formatVersionDate(version)} to the current version:`;
+        detailsDiff.appendChild(title);
+        diffSteps(version.steps, detailsVersions[0].steps).forEach(({ change, step }) => {
+            const li = document.createElement('li');
+            li.className = `diff-${change}`;
+            li.textContent = `${{ added: '+', removed: '-', same: ' ' }[change]} ${formatStep(step)}`;
+            detailsDiff.appendChild(li);
+        });
+        detailsDiff.classList.remove('hidden');
+    }
+
+    // Longest common subsequence of the two step lists. Breakpoints and stale marks don't
+    // count as changes: they are set outside of versions.
+    function diffSteps(before, after) {
+        const key = ({ breakpoint, locatorStatus, ...step }) => JSON.stringify(step);
+        const a = before.map(key);
+        const b = after.map(key);
+        const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+            }
+        }
+        const diff = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                diff.push({ change: 'same', step: after[j] });
+                i++;
+                j++;
+            } else if (j < b.length && (i === a.length || common[i][j + 1] >= common[i + 1][j])) {
+                diff.push({ change: 'added', step: after[j++] });
+            } else {
+                diff.push({ change: 'removed', step: before[i++] });
+            }
+        }
+        return diff;
     }
 
     // Helper to get the currently selected flow's name.
@@ -141,16 +1506,796 @@ document.addEventListener('DOMContentLoaded', () => {
         return selectedRadio ? selectedRadio.value : null;
     }
 
+    // --- Secrets ---
+    // Passphrases and secret values are typed into a password field, never a prompt(),
+    // so they don't show on screen. Resolves to what was typed, or null when cancelled.
+    function askForSecretInput(label) {
+        if (secretPromptResolve) closeSecretPrompt(null);
+        secretPromptLabel.textContent = label;
+        secretPromptForm.classList.remove('hidden');
+        secretPromptForm.scrollIntoView({ block: 'nearest' });
+        secretPromptInput.focus();
+        return new Promise(resolve => { secretPromptResolve = resolve; });
+    }
+
+    function closeSecretPrompt(value) {
+        secretPromptForm.classList.add('hidden');
+        secretPromptInput.value = '';
+        const resolve = secretPromptResolve;
+        secretPromptResolve = null;
+        if (resolve) resolve(value);
+    }
+
+    // The first passphrase creates the vault, so it is asked twice. Resolves to whether the
+    // secrets ended up unlocked.
+    async function unlockSecrets(hasVault) {
+        let label = hasVault ? 'Passphrase to unlock the secrets:' : 'Choose a passphrase to encrypt the secrets with. It cannot be recovered:';
+        for (;;) {
+            const passphrase = await askForSecretInput(label);
+            if (passphrase === null) return false;
+            if (!passphrase) {
+                label = 'The passphrase cannot be empty:';
+                continue;
+            }
+            if (!hasVault && await askForSecretInput('Repeat the passphrase:') !== passphrase) {
+                label = 'The passphrases did not match. Choose a passphrase:';
+                continue;
+            }
+            const result = await chrome.runtime.sendMessage({ type: 'unlockSecrets', passphrase: passphrase });
+            if (result.status === 'success') return true;
+            label = `${result.message} Passphrase to unlock the secrets:`;
+        }
+    }
+
+    // Secrets recorded while the vault was locked only last until the browser closes.
+    async function storeRecordedSecrets() {
+        const status = await chrome.runtime.sendMessage({ type: 'getSecretStatus' });
+        if (status.unlocked || status.pending.length === 0) return;
+        const question = `${status.pending.length} secret(s) were recorded. Store them encrypted with your passphrase? Otherwise they are forgotten when the browser closes and runs will ask for them.`;
+        if (confirm(question)) unlockSecrets(status.hasVault);
+    }
+
+    function findSecretNames(steps) {
+        const names = new Set();
+        steps.forEach(step => [...SECRET_FIELDS.map(field => step[field]), ...Object.values(step.bindings || {})].forEach(value => {
+            if (typeof value !== 'string') return;
+            for (const match of value.matchAll(SECRET_PATTERN)) names.add(match[1]);
+        }));
+        return [...names];
+    }
+
+    // The flow and every flow it calls, directly or through others.
+    function findCalledFlows(flowName, flows, found = new Set()) {
+        if (found.has(flowName) || !flows[flowName]) return found;
+        found.add(flowName);
+        flows[flowName].forEach(step => {
+            if (step.type === 'callFlow') findCalledFlows(step.flowName, flows, found);
+        });
+        return found;
+    }
+
+    // --- Run Options ---
+
+    function openEnvironmentForm(environment) {
+        editingEnvironmentId = environment ? environment.id : null;
+        environmentNameInput.value = environment ? environment.name : '';
+        environmentRewritesInput.value = environment ? environment.rewrites.map(({ from, to }) => `${from} -> ${to}`).join('\n') : '';
+        environmentForm.classList.remove('hidden');
+        environmentNameInput.focus();
+    }
+
+    // One "from -> to" per line; both sides must be absolute URLs (usually just origins).
+    function parseUrlRewrites(text) {
+        const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+        if (lines.length === 0) throw new Error('Add at least one rewrite, like "https://staging.example.com -> https://dev.example.com".');
+        return lines.map((line, index) => {
+            const parts = line.split('->').map(part => part.trim());
+            if (parts.length !== 2 || !parts.every(isAbsoluteUrl)) {
+                throw new Error(`Line ${index + 1} should look like "https://staging.example.com -> https://dev.example.com".`);
+            }
+            return { from: parts[0], to: parts[1] };
+        });
+    }
+
+    function isAbsoluteUrl(value) {
+        try {
+            return !!new URL(value).host;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Where the run happens (see options.tabId and options.skipGoto in background.js) and
+    // against which environment.
+    async function getRunOptions() {
+        const options = { environment: runEnvironmentSelect.value || undefined };
+        if (runTargetSelect.value !== 'newTab') {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (!tab) throw new Error('There is no current tab to run in.');
+            options.tabId = tab.id;
+            options.skipGoto = runTargetSelect.value === 'currentPage';
+        }
+        return options;
+    }
+
+    // Secrets the vault can't provide (locked, or never stored) are typed in for this run only.
+    async function startRun(type, flowName) {
+        const flows = await chrome.runtime.sendMessage({ type: 'getFlows' });
+        const names = findSecretNames([...findCalledFlows(flowName, flows)].flatMap(name => flows[name]));
+        let status = await chrome.runtime.sendMessage({ type: 'getSecretStatus' });
+        if (!status.unlocked && names.some(name => status.stored.includes(name)) && await unlockSecrets(true)) {
+            status = await chrome.runtime.sendMessage({ type: 'getSecretStatus' });
+        }
+        const available = name => status.pending.includes(name) || (status.unlocked && status.stored.includes(name));
+        const secrets = {};
+        for (const name of names.filter(name => !available(name))) {
+            const value = await askForSecretInput(`Value of secret "${name}" for this run:`);
+            if (value === null) return;
+            secrets[name] = value;
+        }
+        let options;
+        try {
+            options = await getRunOptions();
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        chrome.runtime.sendMessage({ type: type, name: flowName, options: { ...options, secrets: secrets } });
+    }
+
+    // --- Step Editor ---
+
+    function openEditor(flowName, steps, variables = {}, timing = {}) {
+        editorFlowName.textContent = flowName;
+        editorSteps = JSON.parse(JSON.stringify(steps));
+        editorVariables = { ...variables };
+        editorTiming = { ...DEFAULT_TIMING, ...timing };
+        renderEditorTiming();
+        libraryView.classList.add('hidden');
+        editorView.classList.remove('hidden');
+        renderEditor();
+    }
+
+    function closeEditor() {
+        if (pickingStepIndex !== null) chrome.runtime.sendMessage({ type: 'stopElementPicker' });
+        pickingStepIndex = null;
+        editorSteps = [];
+        editorVariables = {};
+        editorTiming = {};
+        editorView.classList.add('hidden');
+        libraryView.classList.remove('hidden');
+    }
+
+    function createSteps(type) {
+        const step = JSON.parse(JSON.stringify(NEW_STEP_TEMPLATES[type]));
+        return BLOCK_STEP_TYPES.includes(type) ? [step, { type: 'end' }] : [step];
+    }
+
+    // On-error jumps name their target by step number; keeps them on the same step while
+    // steps move around. A jump whose target was deleted is cleared for validation to flag.
+    function editStepsKeepingJumps(edit) {
+        const jumps = editorSteps
+            .filter(step => step.onError === 'goto')
+            .map(step => ({ step: step, target: editorSteps[Number(step.onErrorStep) - 1] }));
+        edit();
+        jumps.forEach(({ step, target }) => {
+            const index = editorSteps.indexOf(target);
+            if (index !== -1) step.onErrorStep = index + 1;
+            else delete step.onErrorStep;
+        });
+    }
+
+    // Nesting level of each step inside if/repeat blocks, for indenting step lists. Steps of
+    // a run carry their `origin`, which nests called flows' steps under the call.
+    function getStepDepths(steps) {
+        let depth = 0;
+        return steps.map(step => {
+            if (step.type === 'else' || step.type === 'end') depth = Math.max(depth - 1, 0);
+            const stepDepth = depth + (step.origin ? step.origin.depth : 0);
+            if (['if', 'else', 'repeat'].includes(step.type)) depth++;
+            return stepDepth;
+        });
+    }
+
+    function indentStepItem(li, depth) {
+        if (depth > 0) li.style.marginLeft = `${depth * STEP_INDENT}px`;
+    }
+
+    function renderEditor() {
+        editorStepsList.innerHTML = '';
+        const depths = getStepDepths(editorSteps);
+        editorSteps.forEach((step, index) => {
+            const li = document.createElement('li');
+            li.className = 'editor-step';
+            indentStepItem(li, depths[index]);
+            if (index === pickingStepIndex) li.classList.add('picking');
+
+            const header = document.createElement('div');
+            header.className = 'editor-step-header';
+            const title = document.createElement('span');
+            title.className = 'editor-step-title';
+            title.textContent = formatStep(step);
+            header.appendChild(title);
+            const actions = [['up', '↑', 'Move up'], ['down', '↓', 'Move down'], ['duplicate', '⧉', 'Duplicate'],
+                ['insert', '+', 'Insert the selected step type below'], ['delete', '✕', 'Delete']];
+            if (step.selector !== undefined) actions.splice(3, 0, ['pick', '⌖', 'Pick the element in the page']);
+            if (getVariableField(step)) actions.splice(3, 0, ['variable', '{}', 'Turn this value into a variable']);
+            actions.forEach(([action, text, tooltip]) => {
+                const button = document.createElement('button');
+                button.textContent = text;
+                button.title = tooltip;
+                button.dataset.action = action;
+                button.dataset.index = index;
+                header.appendChild(button);
+            });
+            li.appendChild(header);
+
+            (EDITABLE_FIELDS[step.type] || [])
+                .filter(field => !field.showIf || field.showIf(step))
+                .forEach(field => li.appendChild(createFieldInput(step, field, index)));
+            editorStepsList.appendChild(li);
+        });
+        renderEditorVariables();
+    }
+
+    // Lists declared variables plus any {{name}} the steps use but nobody declared yet. Names
+    // extract steps fill in during the run need no default.
+    function renderEditorVariables() {
+        const extracted = editorSteps.filter(step => step.type === 'extract').map(step => step.variable);
+        const used = new Set(findVariableNames(editorSteps).filter(name => !extracted.includes(name)));
+        const names = [...new Set([...Object.keys(editorVariables), ...used])].sort();
+
+        editorVariablesList.innerHTML = '';
+        names.forEach(name => {
+            const li = document.createElement('li');
+            const label = document.createElement('code');
+            label.textContent = `{{${name}}}`;
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = 'no default';
+            input.value = editorVariables[name] ?? '';
+            input.dataset.variable = name;
+            const remove = document.createElement('button');
+            remove.textContent = '✕';
+            remove.title = used.has(name) ? 'Still used by a step; removing only drops its default' : 'Remove';
+            remove.dataset.removeVariable = name;
+            li.append(label, input, remove);
+            if (!used.has(name)) li.title = 'Not used by any step';
+            editorVariablesList.appendChild(li);
+        });
+    }
+
+    function findVariableNames(steps) {
+        const names = new Set();
+        steps.forEach(step => [...VARIABLE_FIELDS.map(field => step[field]), ...Object.values(step.bindings || {})].forEach(value => {
+            if (typeof value !== 'string') return;
+            for (const match of value.matchAll(VARIABLE_PATTERN)) names.add(match[1]);
+        }));
+        return [...names];
+    }
+
+    // A call's bindings are edited as "name=value; other={{variable}}".
+    function formatBindings(bindings) {
+        return Object.entries(bindings || {}).map(([name, value]) => `${name}=${value}`).join('; ');
+    }
+
+    function parseBindings(text) {
+        return Object.fromEntries(text.split(';')
+            .map(part => part.split('='))
+            .filter(([name, ...value]) => name.trim() && value.length > 0)
+            .map(([name, ...value]) => [name.trim(), value.join('=').trim()]));
+    }
+
+    // --- Sub-flows ---
+
+    // Throws unless steps `from`..`to` (numbered from 1) can run as a flow of their own: whole
+    // blocks only, all in one tab, and no on-error jumps across the edge of the range except
+    // to its first step, which the call takes the place of.
+    function checkExtractableSteps(from, to) {
+        if (from < 2 || to > editorSteps.length || from > to) throw new Error(`choose steps between 2 and ${editorSteps.length}.`);
+        const extracted = editorSteps.slice(from - 1, to);
+        if (validateControlBlocks(extracted).length > 0) throw new Error('the range splits an if or repeat block.');
+        if (new Set(extracted.filter(isTabStep).map(step => step.tabRef || 0)).size > 1) throw new Error('the steps are in different tabs.');
+        const crossing = editorSteps.find(step => {
+            if (step.onError !== 'goto') return false;
+            const target = editorSteps[Number(step.onErrorStep) - 1];
+            return extracted.includes(step) !== extracted.includes(target) && target !== extracted[0];
+        });
+        if (crossing) throw new Error(`step ${editorSteps.indexOf(crossing) + 1} jumps across the edge of the range on error.`);
+    }
+
+    function isTabStep(step) {
+        return !['wait', 'else', 'end'].includes(step.type);
+    }
+
+    // Saves the steps as a new flow and calls it in their place. The new flow starts at the
+    // last URL loaded in their tab, and gets the variables they use passed through.
+    function extractSubFlow(from, to, name) {
+        const extracted = editorSteps.slice(from - 1, to);
+        const tabRef = (extracted.find(isTabStep) || {}).tabRef || 0;
+        const start = editorSteps.slice(0, from - 1).reverse()
+            .find(step => ['goto', 'navigate'].includes(step.type) && (step.tabRef || 0) === tabRef) || editorSteps[0];
+        const steps = [{ type: 'goto', url: start.url, frameId: 0 }, ...JSON.parse(JSON.stringify(extracted))];
+        steps.forEach(step => {
+            delete step.tabRef;
+            if (step.onError === 'goto') step.onErrorStep = extracted.indexOf(editorSteps[Number(step.onErrorStep) - 1]) + 2;
+        });
+        // Extracted values belong to the whole run, so only real inputs are passed through.
+        const extractedNames = editorSteps.filter(step => step.type === 'extract').map(step => step.variable);
+        const variableNames = findVariableNames(steps).filter(variable => !extractedNames.includes(variable));
+        const variables = Object.fromEntries(variableNames.filter(variable => editorVariables[variable]).map(variable => [variable, editorVariables[variable]]));
+        chrome.runtime.sendMessage({ type: 'saveFlow', name: name, steps: steps, variables: variables, timing: editorTiming });
+
+        const call = { type: 'callFlow', flowName: name, bindings: Object.fromEntries(variableNames.map(variable => [variable, `{{${variable}}}`])), skipGoto: true };
+        if (tabRef) call.tabRef = tabRef;
+        const jumpsToCall = editorSteps.filter(step => step.onError === 'goto' && editorSteps[Number(step.onErrorStep) - 1] === extracted[0] && !extracted.includes(step));
+        editStepsKeepingJumps(() => editorSteps.splice(from - 1, extracted.length, call));
+        jumpsToCall.forEach(step => { step.onErrorStep = from; });
+    }
+
+    function renderEditorTiming() {
+        editorTimingMode.value = editorTiming.mode;
+        editorTimingTimeout.value = editorTiming.timeout;
+        editorTimingDelay.value = editorTiming.delay;
+        editorTimingDelayField.classList.toggle('hidden', editorTiming.mode !== 'fixed');
+    }
+
+    function getVariableField(step) {
+        return VARIABLE_FIELDS.find(field => typeof step[field] === 'string') || null;
+    }
+
+    // Replaces a recorded value with {{name}}, keeping the recorded value as the default.
+    function extractVariable(step) {
+        const field = getVariableField(step);
+        const name = prompt('Variable name:', field === 'url' ? 'baseUrl' : 'value');
+        if (!name) return;
+        if (!/^[\w.-]+$/.test(name)) { alert(`"${name}" is not a valid variable name.`); return; }
+        if (!(name in editorVariables) || editorVariables[name] === '') editorVariables[name] = step[field];
+        step[field] = `{{${name}}}`;
+    }
+
+    function createFieldInput(step, field, index) {
+        const label = document.createElement('label');
+        label.className = 'editor-field';
+        const input = document.createElement(field.type === 'select' ? 'select' : 'input');
+        input.dataset.index = index;
+        input.dataset.field = field.name;
+        if (field.optional) input.dataset.optional = 'true';
+        // `format` and `parse` convert values that aren't plain strings or numbers (lists, booleans).
+        const value = field.format ? field.format(step[field.name]) : step[field.name];
+        if (field.type === 'select') {
+            const options = typeof field.options === 'function' ? field.options(step) : field.options;
+            options.forEach(([optionValue, text]) => input.add(new Option(text, optionValue, false, value === optionValue)));
+            label.append(`${field.label} `, input);
+        } else if (field.type === 'checkbox') {
+            input.type = 'checkbox';
+            input.checked = step[field.name] === field.checkedValue;
+            input.dataset.checkedValue = field.checkedValue;
+            label.append(input, ` ${field.label}`);
+        } else {
+            input.type = field.type || 'text';
+            input.value = value ?? '';
+            if (field.placeholder) input.placeholder = field.placeholder;
+            label.append(`${field.label} `, input);
+        }
+        return label;
+    }
+
+    function updateStepField(step, field, input) {
+        const definition = (EDITABLE_FIELDS[step.type] || []).find(candidate => candidate.name === field) || {};
+        if (definition.parse) {
+            step[field] = definition.parse(input.value, step);
+        } else if (input.type === 'checkbox') {
+            if (input.checked) step[field] = definition.checkedValue ?? input.dataset.checkedValue;
+            else delete step[field];
+        } else if (input.dataset.optional && input.value === '') {
+            delete step[field]; // Back to the default
+        } else if (input.type === 'number') {
+            step[field] = Number(input.value) || 0;
+        } else {
+            step[field] = input.value;
+        }
+
+        if (field === 'selector') {
+            // A hand-written selector replaces the recorded fallbacks, which point at the old element.
+            if (step.selector === undefined) delete step.locators;
+            else step.locators = [{ strategy: 'css', value: step.selector }];
+            delete step.locatorStatus;
+        } else if (field === 'dropSelector') {
+            step.dropLocators = [{ strategy: 'css', value: step.dropSelector }];
+        } else if (field === 'key') {
+            Object.assign(step, describeKey(step.key));
+        }
+    }
+
+    // Keeps code/keyCode in step with a hand-edited key so replayed events look real.
+    function describeKey(key) {
+        const namedKeys = { Enter: 13, Tab: 9, Escape: 27, Backspace: 8, Delete: 46, ArrowUp: 38, ArrowDown: 40, ArrowLeft: 37, ArrowRight: 39 };
+        if (namedKeys[key]) return { code: key, keyCode: namedKeys[key] };
+        if (/^[a-z]$/i.test(key)) return { code: `Key${key.toUpperCase()}`, keyCode: key.toUpperCase().charCodeAt(0) };
+        if (/^[0-9]$/.test(key)) return { code: `Digit${key}`, keyCode: key.charCodeAt(0) };
+        return { code: '', keyCode: 0 };
+    }
+
+    function applyPickedElement(result) {
+        const step = editorSteps[pickingStepIndex];
+        pickingStepIndex = null;
+        if (result.error) alert(result.error);
+        if (step && !result.cancelled) {
+            step.selector = result.selector;
+            step.locators = result.locators;
+            step.frameId = result.frameId;
+            if (result.frameUrl) step.frameUrl = result.frameUrl;
+            else delete step.frameUrl;
+            delete step.locatorStatus;
+        }
+        renderEditor();
+    }
+
+    // --- Data-Driven Runs ---
+
+    // CSV needs a header row (the variable names); JSON must be an array of flat objects.
+    function parseDataFile(fileName, text) {
+        const rows = fileName.toLowerCase().endsWith('.json') ? JSON.parse(text) : parseCsv(text);
+        if (!Array.isArray(rows) || rows.length === 0) throw new Error('The file has no data rows.');
+        if (!rows.every(row => row && typeof row === 'object' && !Array.isArray(row))) {
+            throw new Error('Every row must be an object of variable names to values.');
+        }
+        return rows;
+    }
+
+    function parseCsv(text) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+                else if (char === '"') inQuotes = false;
+                else field += char;
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || record.length > 0) { record.push(field); records.push(record); }
+
+        const [header, ...dataRecords] = records.filter(r => r.some(value => value.trim() !== ''));
+        if (!header) return [];
+        const names = header.map(name => name.trim());
+        return dataRecords.map(values => Object.fromEntries(names.map((name, i) => [name, values[i] ?? ''])));
+    }
+
+    function updateDataRunSummary({ flowName, total, results, finished }) {
+        const passed = results.filter(result => result.status === 'success').length;
+        dataRun = { flowName: flowName, results: results };
+        dataRunSummary.classList.remove('hidden');
+        dataRunDownloads.classList.toggle('hidden', !finished);
+        dataRunTitle.textContent = finished
+            ? `"${flowName}": ${passed} of ${total} row(s) passed`
+            : `"${flowName}": running row ${results.length + 1} of ${total}...`;
+        dataRunResults.innerHTML = '';
+        results.forEach(result => {
+            const li = document.createElement('li');
+            li.className = `data-row-${result.status}`;
+            li.textContent = result.status === 'success'
+                ? `Row ${result.row}: passed`
+                : `Row ${result.row}: failed - ${result.message}`;
+            dataRunResults.appendChild(li);
+        });
+    }
+
+    // --- Run Data ---
+    // What a run's extract steps stored, as JSON or as a table. In the table, lists run down
+    // the rows, single values repeat on every row, and objects spread over "name.key" columns.
+    function dataToRows(data) {
+        const values = Object.entries(data || {});
+        const rowCount = Math.max(1, ...values.map(([, value]) => Array.isArray(value) ? value.length : 1));
+        return Array.from({ length: rowCount }, (_, index) => {
+            const row = {};
+            values.forEach(([name, value]) => {
+                const cell = Array.isArray(value) ? value[index] : value;
+                if (cell && typeof cell === 'object') {
+                    Object.entries(cell).forEach(([key, nested]) => { row[`${name}.${key}`] = nested; });
+                } else {
+                    row[name] = cell;
+                }
+            });
+            return row;
+        });
+    }
+
+    // The reverse of parseCsv: a header row with every column any row has.
+    function buildCsv(rows) {
+        const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+        const quote = value => {
+            const text = value === undefined || value === null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [columns, ...rows.map(row => columns.map(column => row[column]))]
+            .map(record => record.map(quote).join(','))
+            .join('\r\n');
+    }
+
+    // One file for all the rows of a data-driven run; each record says which row it came from.
+    async function downloadDataRunData(format) {
+        const { flowName, results } = dataRun;
+        const reports = await Promise.all(results.filter(result => result.runId)
+            .map(result => chrome.runtime.sendMessage({ type: 'getRunReport', id: result.runId })
+                .then(report => ({ row: result.row, status: result.status, data: (report && report.data) || {} }))));
+        if (!reports.some(report => Object.keys(report.data).length > 0)) {
+            alert('These runs extracted no data.');
+            return;
+        }
+        const baseName = `${flowName.replace(/[^\w.-]+/g, '_')}-data`;
+        if (format === 'json') {
+            downloadFile(`${baseName}.json`, JSON.stringify(reports, null, 2), 'application/json');
+        } else {
+            const rows = reports.flatMap(report => dataToRows(report.data).map(row => ({ row: report.row, status: report.status, ...row })));
+            downloadFile(`${baseName}.csv`, buildCsv(rows), 'text/csv');
+        }
+    }
+
+    // --- Import / Export Helpers ---
+
+    // `meta` (per-flow settings such as variable defaults) is optional, so older files still import.
+    function buildFlowFile(flows, meta = {}) {
+        return JSON.stringify({
+            format: FLOW_FILE_FORMAT,
+            version: FLOW_FILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            flows: flows,
+            meta: meta
+        }, null, 2);
+    }
+
+    // Returns { flows, meta } or throws with a message naming the offending flow and step.
+    function parseFlowFile(text) {
+        let data;
+        try { data = JSON.parse(text); } catch (e) { throw new Error('The file is not valid JSON.'); }
+        if (!data || data.format !== FLOW_FILE_FORMAT) throw new Error('This is not a Replicate Operator flow file.');
+        if (typeof data.version !== 'number' || data.version > FLOW_FILE_VERSION) {
+            throw new Error(`Unsupported file version ${data.version}; this extension reads up to version ${FLOW_FILE_VERSION}.`);
+        }
+        if (!data.flows || typeof data.flows !== 'object' || Array.isArray(data.flows)) throw new Error('The file has no flows.');
+
+        for (const [name, steps] of Object.entries(data.flows)) {
+            const errors = validateFlowSteps(steps);
+            if (errors.length > 0) throw new Error(`Flow "${name}": ${errors[0]}`);
+        }
+        const meta = data.meta && typeof data.meta === 'object' && !Array.isArray(data.meta) ? data.meta : {};
+        return { flows: data.flows, meta: meta };
+    }
+
+    function validateFlowSteps(steps) {
+        if (!Array.isArray(steps) || steps.length === 0) return ['The flow has no steps.'];
+        const errors = [];
+        if (steps[0].type !== 'goto') errors.push('The flow must start with a "goto" step.');
+        steps.forEach((step, index) => {
+            const required = step && REQUIRED_STEP_FIELDS[step.type];
+            if (!required) {
+                errors.push(`Step ${index + 1} has an unknown type "${step && step.type}".`);
+                return;
+            }
+            const missing = required.filter(field => step[field] === undefined || step[field] === '');
+            if (missing.length > 0) errors.push(`Step ${index + 1} (${step.type}) is missing: ${missing.join(', ')}.`);
+            const hasCondition = step.type === 'assert' || step.type === 'if' || (step.type === 'repeat' && step.loop === 'while');
+            if (hasCondition) errors.push(...validateAssertion(step, index));
+            if (step.type === 'extract') errors.push(...validateExtraction(step, index));
+            if (step.type === 'repeat' && step.loop !== 'while' && !(Number.isInteger(Number(step.count)) && Number(step.count) >= 0)) {
+                errors.push(`Step ${index + 1} (repeat) needs a whole number of times.`);
+            }
+            if (step.onError === 'goto') {
+                const target = Number(step.onErrorStep);
+                if (!Number.isInteger(target) || target < 2 || target > steps.length) {
+                    errors.push(`Step ${index + 1} must jump to an existing step after the first.`);
+                }
+            }
+        });
+        errors.push(...validateControlBlocks(steps));
+        return errors;
+    }
+
+    // Same pairing rules as matchControlBlocks in background.js.
+    function validateControlBlocks(steps) {
+        const errors = [];
+        const open = [];
+        steps.forEach((step, index) => {
+            if (step.type === 'if' || step.type === 'repeat') {
+                open.push({ index: index, type: step.type, hasElse: false });
+            } else if (step.type === 'else') {
+                const block = open[open.length - 1];
+                if (!block || block.type !== 'if' || block.hasElse) errors.push(`Step ${index + 1}: "else" without a matching "if".`);
+                else block.hasElse = true;
+            } else if (step.type === 'end' && !open.pop()) {
+                errors.push(`Step ${index + 1}: "end" without a matching "if" or "repeat".`);
+            }
+        });
+        open.forEach(block => errors.push(`Step ${block.index + 1}: "${block.type}" has no matching "end".`));
+        return errors;
+    }
+
+    function validateAssertion(step, index) {
+        const kind = ASSERTION_KINDS[step.assertion];
+        if (!kind) return [`Step ${index + 1} has an unknown assertion "${step.assertion}".`];
+        const isBlank = value => value === undefined || value === '';
+        const errors = [];
+        if (!kind.noSelector && isBlank(step.selector)) errors.push(`Step ${index + 1} (assert) needs a selector.`);
+        if (kind.attribute && isBlank(step.attribute)) errors.push(`Step ${index + 1} (assert) needs an attribute name.`);
+        if (kind.expected && isBlank(step.expected)) errors.push(`Step ${index + 1} (assert) needs an expected value.`);
+        if (kind.regex && !isBlank(step.expected)) {
+            try { new RegExp(step.expected); } catch (e) { errors.push(`Step ${index + 1} (assert) has an invalid regex: ${e.message}`); }
+        }
+        if (step.assertion === 'count' && !Number.isInteger(Number(step.expected))) errors.push(`Step ${index + 1} (assert) count must be a whole number.`);
+        return errors;
+    }
+
+    function validateExtraction(step, index) {
+        const kind = EXTRACTION_KINDS[step.extract];
+        if (!kind) return [`Step ${index + 1} has an unknown extraction "${step.extract}".`];
+        const errors = [];
+        if (kind.attribute && !step.attribute) errors.push(`Step ${index + 1} (extract) needs an attribute name.`);
+        if (kind.fields && Object.keys(step.fields || {}).length === 0) errors.push(`Step ${index + 1} (extract) needs at least one field.`);
+        // Must be usable as {{variable}} in later steps.
+        if (step.variable && !/^[\w.-]+$/.test(step.variable)) {
+            errors.push(`Step ${index + 1} (extract) variable names may only use letters, digits, "_", "." and "-".`);
+        }
+        return errors;
+    }
+
+    function getAssertionKind(step) {
+        return ASSERTION_KINDS[step.assertion] || {};
+    }
+
+    // Asks about every imported name that already exists: keep the name to overwrite,
+    // change it to keep both, or cancel to skip that flow. Returns { targetName: importedName }.
+    function resolveImportConflicts(importedFlows, existingFlows) {
+        const flowsToSave = {};
+        for (const name of Object.keys(importedFlows)) {
+            let targetName = name;
+            while (existingFlows[targetName] || flowsToSave[targetName]) {
+                const answer = prompt(
+                    `A flow named "${targetName}" already exists.\nKeep the name to overwrite it, enter a new name to keep both, or cancel to skip.`,
+                    targetName
+                );
+                if (answer === null) { targetName = null; break; }
+                if (answer === targetName && !flowsToSave[targetName]) break; // Overwrite
+                targetName = answer.trim() || targetName;
+            }
+            if (targetName) flowsToSave[targetName] = name;
+        }
+        return flowsToSave;
+    }
+
+    function downloadGeneratedScript(generator, extension) {
+        const selectedFlow = getSelectedFlowName();
+        if (!selectedFlow) return;
+        chrome.runtime.sendMessage({ type: 'getFlows' }, (flows) => {
+            const fileName = `${selectedFlow.replace(/[^\w.-]+/g, '_')}.${extension}`;
+            downloadFile(fileName, generator(selectedFlow, flows[selectedFlow], flows), 'text/javascript');
+        });
+    }
+
+    function downloadFile(fileName, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
     function formatStep(step) {
+        const inTab = step.tabRef && !['switchTab', 'closeTab'].includes(step.type) ? `[tab ${step.tabRef}] ` : '';
+        return inTab + formatStepAction(step) + formatErrorPolicy(step);
+    }
+
+    function formatStepAction(step) {
         switch(step.type) {
             case 'goto': return `Navigate to: ${step.url.substring(0, 40)}...`;
+            case 'navigate': return `Page ${step.transition === 'reload' ? 'reloaded' : 'changed'}${step.frameId ? ' (frame)' : ''}: ${step.url.substring(0, 40)}...`;
+            case 'switchTab': return `Switch to ${formatTabRef(step.tabRef)}`;
+            case 'closeTab': return `Close ${formatTabRef(step.tabRef)}`;
             case 'wait': return `Wait for ${step.duration}ms`;
-            case 'click': return `Click on: ${step.selector}`;
-            case 'change': return `Change input ${step.selector} to: "${step.value}"`;
+            case 'click':
+                if (step.clickMode === 'coordinates' && step.position) {
+                    return `Click at (${step.position.offsetX}, ${step.position.offsetY}) on: ${step.selector}`;
+                }
+                return `Click on: ${step.selector}`;
+            case 'change': return `Change input ${step.selector} to: ${formatValue(step.value)}`;
+            case 'keypress': return `Press ${formatKeyCombo(step)} on: ${step.selector}`;
+            case 'select': return `Select "${[].concat(step.label || step.value).join('", "')}" in: ${step.selector}`;
+            case 'check': return `${step.checked ? 'Check' : 'Uncheck'}: ${step.selector}`;
+            case 'upload': return `Upload placeholder ${(step.files || []).map(file => `"${file.name}"`).join(', ') || '(no files)'} to: ${step.selector}`;
+            case 'hover': return `Hover over: ${step.selector}`;
+            case 'scroll': return `Scroll ${step.selector || 'window'} to (${step.x}, ${step.y})`;
+            case 'dragdrop': return `Drag ${step.selector} onto: ${step.dropSelector}`;
+            case 'assert': return `Assert${formatCondition(step)}`;
+            case 'if': return `If${step.negate ? ' not' : ''}${formatCondition(step)}`;
+            case 'else': return 'Else';
+            case 'repeat':
+                if (step.loop === 'while') return `Repeat while${step.negate ? ' not' : ''}${formatCondition(step)}`;
+                return `Repeat ${step.count} times`;
+            case 'end': return 'End';
+            case 'callFlow': {
+                const bindings = Object.entries(step.bindings || {}).map(([name, value]) => `${name}=${formatValue(value)}`).join(', ');
+                return `Run flow "${step.flowName}"${bindings ? ` with ${bindings}` : ''}${step.skipGoto ? ' on the current page' : ''}`;
+            }
+            case 'extract': {
+                const kind = EXTRACTION_KINDS[step.extract] || { label: step.extract };
+                const what = step.attribute ? `attribute "${step.attribute}" of ${step.extract === 'all' ? 'all of ' : ''}` : `${kind.label} of `;
+                return `Extract ${what}${step.selector} ${step.accumulate ? 'onto' : 'into'} {{${step.variable}}}`;
+            }
             default: return JSON.stringify(step);
         }
     }
 
+    // A value that is just a secret reference shows the secret's name.
+    function formatValue(value) {
+        const secret = /^\{\{\s*secret:([\w.-]+)\s*\}\}$/.exec(value);
+        return secret ? `secret "${secret[1]}"` : `"${value}"`;
+    }
+
+    function formatTabRef(tabRef) {
+        return tabRef ? `tab ${tabRef}` : 'the first tab';
+    }
+
+    function formatCondition(step) {
+        const kind = getAssertionKind(step);
+        const subject = kind.noSelector ? '' : ` ${step.selector}`;
+        const attribute = kind.attribute ? ` [${step.attribute}]` : '';
+        const expected = kind.expected ? `: ${formatValue(step.expected)}` : '';
+        return `${subject}${attribute} ${kind.label || step.assertion}${expected}`;
+    }
+
+    function formatErrorPolicy(step) {
+        const parts = [];
+        if (step.retries) parts.push(`retry ${step.retries}x`);
+        if (step.onError === 'skip') parts.push('skip on error');
+        if (step.onError === 'goto') parts.push(`on error go to step ${step.onErrorStep}`);
+        return parts.length > 0 ? ` [${parts.join(', ')}]` : '';
+    }
+
+    function formatKeyCombo(step) {
+        const modifiers = step.modifiers || {};
+        const parts = [];
+        if (modifiers.ctrl) parts.push('Ctrl');
+        if (modifiers.alt) parts.push('Alt');
+        if (modifiers.shift) parts.push('Shift');
+        if (modifiers.meta) parts.push('Meta');
+        parts.push(step.key.length === 1 ? step.key.toUpperCase() : step.key);
+        return parts.join('+');
+    }
+
     // --- Initial Load ---
+    // The panel may open (or reopen) mid-recording; pick up the steps recorded so far.
+    chrome.runtime.sendMessage({ type: 'getRecordingState' }, (state) => {
+        toggleViews(state.isRecording);
+        updateLiveSteps(state.isRecording ? state.steps : []);
+    });
     updateSavedFlowsList();
+    updateSchedulesList();
+    updateSecretsList();
+    updateEnvironmentsList();
+    updateRunHistoryList();
+    chrome.runtime.sendMessage({ type: 'getReplayState' }, updateReplayControls);
+    chrome.runtime.sendMessage({ type: 'getSettings' }, (settings) => {
+        screenshotSetting.checked = settings.screenshotEveryStep;
+        sensitiveSelectorSetting.value = settings.sensitiveSelector;
+        externalCallersSetting.value = settings.externalCallers.join('\n');
+        externalSecretCallersSetting.value = settings.externalSecretCallers.join('\n');
+    });
+    extensionIdLabel.textContent = chrome.runtime.id;
 });
\ No newline at end of file